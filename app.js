@@ -8,14 +8,19 @@ import gzip from 'connect-gzip-static';
 import renderer from 'connect-renderer';
 import errorHandler from 'errorhandler';
 import logger from 'morgan';
+import deals from './lib/deals/index.js';
 import { NODE_ENV, PORT, SITE_URL as siteUrl, LIFTIE_STATIC_HOST as staticHost } from './lib/env.js';
 import lifts from './lib/lifts/index.js';
 import loader from './lib/loader.js';
 import * as loaders from './lib/loaders.js';
+import { requests } from './lib/metrics.js';
 import opening from './lib/opening.js';
 import * as plugins from './lib/plugins.js';
 import dataRoutes from './lib/routes/data.js';
 import routes from './lib/routes/index.js';
+import season from './lib/season.js';
+import snow from './lib/snow/index.js';
+import trails from './lib/trails/index.js';
 import weather from './lib/weather/index.js';
 import webcams from './lib/webcams.js';
 
@@ -46,6 +51,7 @@ app.use(
 );
 
 app.use(logger('dev'));
+app.use(requests);
 app.use(cookieParser());
 app.use(cachify);
 app.use(async (req, res, next) => {
@@ -69,13 +75,44 @@ app.loaders.register(loader);
 app.plugins = plugins;
 app.plugins.register('lifts', lifts);
 app.plugins.register('opening', opening);
+app.plugins.register('season', season);
 app.plugins.register('weather', weather);
 app.plugins.register('webcams', webcams);
+app.plugins.register('trails', trails);
+app.plugins.register('snow', snow);
+app.plugins.register('deals', deals);
 
 app.data = dataRoutes();
 
 routes(app);
 
+// stop accepting connections, let fetches in progress finish and save the data before exiting
+function handleShutdown(server) {
+  let closing = false;
+
+  function shutdown(signal) {
+    if (closing) {
+      console.error('Forced shutdown');
+      process.exit(1);
+    }
+    closing = true;
+    console.log('Received %s - shutting down...', signal);
+    server.close();
+    server.closeIdleConnections();
+    app.data.close(err => {
+      if (err) {
+        console.error(err);
+      }
+      // long lived connections (event streams) are not going to close on their own
+      server.closeAllConnections();
+      process.exit(err ? 1 : 0);
+    });
+  }
+
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
 app.run = function run() {
   app.data.init(err => {
     if (err) {
@@ -83,9 +120,10 @@ app.run = function run() {
       process.exit(1);
       return;
     }
-    http.createServer(app).listen(PORT, () => {
+    const server = http.createServer(app).listen(PORT, () => {
       console.log(`Running on: http://localhost:${PORT}`);
     });
+    handleShutdown(server);
   });
 };
 
@@ -45,6 +45,12 @@ const schema = [
     type: 'string',
     default: ''
   },
+  {
+    name: 'timezone',
+    description: 'IANA time zone of the resort if not found from its location [America/Denver]',
+    type: 'string',
+    default: ''
+  },
   {
     name: 'opening',
     description: 'Opening date [YYYY-MM-DD]',
@@ -97,6 +103,9 @@ function generate(resort) {
     tags: resort.tags,
     ll: resort.coordinates
   };
+  if (resort.timezone) {
+    json.timezone = resort.timezone;
+  }
   if (resort.opening) {
     json.opening = resort.opening;
   }
@@ -1,8 +1,11 @@
 import about from '../about/index.js';
+import map from '../map/index.js';
 import minimax from '../minimax/index.js';
 import resort from '../resort/index.js';
+import search from '../search/index.js';
 import state from '../state/index.js';
 import stats from '../stats/index.js';
+import stream from '../stream/index.js';
 import tag from '../tag/index.js';
 import height from './height.js';
 import serviceWorker from './service-worker.js';
@@ -22,6 +25,7 @@ function init() {
   const starredTag = tag(document.querySelector('.tags .starred'));
 
   const resorts = rnodes.map(r => resort(r));
+  const updates = stream(resorts);
 
   resorts.forEach(r => {
     minimax(r.node, '.minimax')
@@ -31,6 +35,7 @@ function init() {
           r.refresh(true);
         }
         opens.update();
+        updates.update();
       });
     minimax(r.node, '.star')
       .state('starred')
@@ -40,8 +45,11 @@ function init() {
   window.setInterval(() => resorts.forEach(r => r.refresh()), 5 * 1000);
   about();
   opens.update();
+  updates.update();
   starredTag.update(starred.load().length);
 
   stats();
+  map();
+  search();
   height();
 }
@@ -0,0 +1,123 @@
+import { renderStatus } from '../resort/lifts.js';
+
+const TILE = 256;
+const MAX_ZOOM = 12;
+
+// Web Mercator: [lon, lat] -> [x, y] in 0..1 range
+function project([lon, lat]) {
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return [(lon + 180) / 360, 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)];
+}
+
+// largest zoom at which all points fit in the view
+function fit(points, width, height) {
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const dx = Math.max(...xs) - Math.min(...xs);
+  const dy = Math.max(...ys) - Math.min(...ys);
+  let zoom = MAX_ZOOM;
+  while (zoom > 0 && (dx * TILE * 2 ** zoom > 0.9 * width || dy * TILE * 2 ** zoom > 0.9 * height)) {
+    zoom -= 1;
+  }
+  const scale = TILE * 2 ** zoom;
+  return {
+    zoom,
+    scale,
+    left: ((Math.min(...xs) + Math.max(...xs)) / 2) * scale - width / 2,
+    top: ((Math.min(...ys) + Math.max(...ys)) / 2) * scale - height / 2
+  };
+}
+
+// tiles covering the view - `template` is the tile URL with `{z}`, `{x}` and `{y}` placeholders
+function renderTiles(node, template, { zoom, left, top }, width, height) {
+  const n = 2 ** zoom;
+  const html = [];
+  for (let y = Math.max(0, Math.floor(top / TILE)); y <= Math.min(n - 1, Math.floor((top + height) / TILE)); y++) {
+    for (let x = Math.floor(left / TILE); x <= Math.floor((left + width) / TILE); x++) {
+      const src = template
+        .replace('{z}', zoom)
+        .replace('{x}', ((x % n) + n) % n)
+        .replace('{y}', y);
+      const style = `left:${x * TILE - left}px;top:${y * TILE - top}px;`;
+      html.push(`<img src="${src}" alt="" style="${style}">`);
+    }
+  }
+  node.innerHTML = html.join('');
+}
+
+// marker color is mixed from open and closed colors according to the percentage of open lifts
+function renderMarkers(node, resorts, { scale, left, top }) {
+  node.innerHTML = resorts
+    .map(({ id, name, point: [x, y], stats }) => {
+      const open = stats?.percentage.open;
+      const style = [`left:${x * scale - left}px`, `top:${y * scale - top}px`];
+      if (open !== undefined) {
+        style.push(`--open:${open}%`);
+      }
+      const cls = open === undefined ? 'marker unknown' : 'marker';
+      return `<a class="${cls}" href="/resort/${id}" data-resort="${id}" title="${name}" style="${style.join(';')}"></a>`;
+    })
+    .join('');
+}
+
+function getJSON(url) {
+  return fetch(url).then(res => res.json());
+}
+
+/**
+ * Plots resorts on the map: marker color reflects the percentage of open lifts,
+ * clicking the marker displays the lifts of the resort.
+ */
+export default function map() {
+  const node = document.querySelector('.map');
+  if (!node) {
+    return;
+  }
+  const details = document.querySelector('.map-resort');
+  const { resorts: requested, tiles } = node.dataset;
+  // no `data-resorts` means all resorts
+  const ids = requested?.split(',').filter(Boolean);
+  if (ids && !ids.length) {
+    // empty list means no resorts - not all of them
+    return;
+  }
+
+  function show(id) {
+    getJSON(`/api/resort/${id}?fields=name,lifts`).then(({ name, lifts }) => {
+      const link = details.querySelector('.resort-name');
+      link.href = `/resort/${id}`;
+      link.textContent = name;
+      renderStatus(details.querySelector('.lifts'), lifts?.status, lifts?.catalog);
+      details.classList.remove('hidden');
+    });
+  }
+
+  node.addEventListener('click', e => {
+    const marker = e.target.closest('.marker');
+    if (marker) {
+      e.preventDefault();
+      show(marker.dataset.resort);
+    }
+  });
+
+  const query = ids ? `ids=${ids.join(',')}&` : '';
+  Promise.all([getJSON('/api/meta'), getJSON(`/api/resorts?${query}fields=lifts.stats`)]).then(([meta, status]) => {
+    const stats = Object.fromEntries(status.map(({ id, lifts }) => [id, lifts?.stats]));
+    const resorts = meta
+      .filter(({ id, ll }) => ll && (!ids || ids.includes(id)))
+      .map(({ id, name, ll }) => ({ id, name, point: project(ll), stats: stats[id] }));
+    if (!resorts.length) {
+      return;
+    }
+    const { clientWidth: width, clientHeight: height } = node;
+    const view = fit(
+      resorts.map(({ point }) => point),
+      width,
+      height
+    );
+    if (tiles) {
+      renderTiles(node.querySelector('.map-tiles'), tiles, view, width, height);
+    }
+    renderMarkers(node.querySelector('.map-markers'), resorts, view);
+  });
+}
@@ -1,6 +1,7 @@
 import * as dom from './dom.js';
-import lifts from './lifts.js';
+import lifts, { update as updateLifts } from './lifts.js';
 import snow from './snow.js';
+import trails from './trails.js';
 import weather from './weather.js';
 import webcams from './webcams.js';
 
@@ -15,7 +16,7 @@ function renderOpening(node, opening) {
   }
 }
 
-const plugins = [lifts, weather, webcams, snow];
+const plugins = [lifts, weather, webcams, snow, trails];
 
 function renderPlugins(node, getData) {
   const sec = dom.next(node); // extras section
@@ -55,6 +56,16 @@ function render(node, resort) {
   node.dataset.timestamp = JSON.stringify(tsCurr);
 }
 
+// changes pushed through the stream: lifts come as diff, other plugins in full
+function applyChanges(node, { timestamp, changes }) {
+  const { lifts: liftChanges, ...rest } = changes;
+  if (liftChanges) {
+    updateLifts(node, liftChanges);
+  }
+  renderPlugins(node, plugin => rest[plugin]?.data);
+  node.dataset.timestamp = JSON.stringify(timestamp);
+}
+
 const MAX = 12; // update every 12th time
 
 export default function resort(node) {
@@ -72,6 +83,10 @@ export default function resort(node) {
       // skip closed resorts
       return;
     }
+    if (!now && node.classList.contains('live')) {
+      // updates are pushed through the stream
+      return;
+    }
     if (now) {
       updateCounter = 0;
     } else {
@@ -90,6 +105,14 @@ export default function resort(node) {
       .then(resort => render(node, resort));
   }
 
+  function update(change) {
+    applyChanges(node, change);
+  }
+
+  function live(flag) {
+    node.classList.toggle('live', flag);
+  }
+
   function init() {
     const ds = node.dataset;
 
@@ -104,6 +127,8 @@ export default function resort(node) {
   return {
     init,
     refresh,
+    update,
+    live,
     node
   };
 }
@@ -1,3 +1,4 @@
+import { describe } from '../../lifts/catalog.js';
 import * as dom from './dom.js';
 
 render.section = 0;
@@ -5,18 +6,35 @@ render.type = 'lifts';
 
 const states = ['open', 'hold', 'scheduled', 'closed'];
 
-function renderStatus(node, status) {
+function renderLift(name, status, info) {
+  const title = info ? ` title="${describe(info)}"` : '';
+  const type = info?.type ? `<span class="type lt-${info.type}"></span>` : '';
+  return `<li class="lift"${title}>${type}<span class="name">${name}</span><span class="status ls-${status}"></span></li>`;
+}
+
+export function renderStatus(node, status, catalog) {
   dom.removeAllChildren(node);
   if (status) {
     node.innerHTML = Object.keys(status)
-      .map(name => {
-        const klass = `status ls-${status[name]}`;
-        return `<li class="lift"><span class="name">${name}</span><span class="${klass}"></span></li>`;
-      })
+      .map(name => renderLift(name, status[name], catalog?.[name]))
       .join('');
   }
 }
 
+function updateStatus(node, changed) {
+  const items = Array.from(node.querySelectorAll('.lift'));
+  Object.entries(changed).forEach(([name, { to }]) => {
+    const item = items.find(li => li.querySelector('.name').textContent === name);
+    if (!to) {
+      item?.remove();
+    } else if (item) {
+      item.querySelector('.status').setAttribute('class', `status ls-${to}`);
+    } else {
+      node.insertAdjacentHTML('beforeend', renderLift(name, to));
+    }
+  });
+}
+
 function renderStats(node, stats) {
   states.forEach(s => (node.querySelector(`.ls-${s}`).innerHTML = stats ? stats[s] : 0));
 }
@@ -28,8 +46,15 @@ function renderColorBar(node, percentage) {
   });
 }
 
-export default function render(node, { status, stats }) {
-  renderStatus(node.querySelector('.lifts'), status);
+export default function render(node, { status, stats, catalog }) {
+  renderStatus(node.querySelector('.lifts'), status, catalog);
+  renderStats(node.querySelector('.summary'), stats);
+  renderColorBar(node.querySelector('.summary-color-bar'), stats.percentage);
+}
+
+// only changed lifts are updated
+export function update(node, { changed, stats }) {
+  updateStatus(node.querySelector('.lifts'), changed);
   renderStats(node.querySelector('.summary'), stats);
   renderColorBar(node.querySelector('.summary-color-bar'), stats.percentage);
 }
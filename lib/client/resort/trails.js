@@ -0,0 +1,33 @@
+render.section = 1;
+render.type = 'trails';
+
+// .trails
+//   .summary= open, total and groomed trails
+//   ul.difficulties= open and total trails for each difficulty
+//   ul.trail-list= trails
+
+function renderTrail(name, { status, difficulty, groomed }) {
+  return [
+    '<li class="trail">',
+    `<span class="difficulty ${difficulty || ''}"></span>`,
+    `<span class="name">${name}</span>`,
+    groomed ? '<span class="groomed">groomed</span>' : '',
+    `<span class="status ls-${status}"></span>`,
+    '</li>'
+  ].join('');
+}
+
+function renderDifficulty([difficulty, { open, total }]) {
+  return `<li><span class="difficulty ${difficulty}" title="${difficulty}"></span>${open}/${total}</li>`;
+}
+
+export default function render(div, { status, stats }) {
+  const names = Object.keys(status || {});
+  if (!names.length) {
+    return false;
+  }
+  div.querySelector('.summary').innerHTML = `${stats.open} of ${stats.total} trails open, ${stats.groomed} groomed`;
+  div.querySelector('.difficulties').innerHTML = Object.entries(stats.difficulty).map(renderDifficulty).join('');
+  div.querySelector('.trail-list').innerHTML = names.map(name => renderTrail(name, status[name])).join('');
+  return true;
+}
@@ -0,0 +1,82 @@
+import debounce from 'debounce';
+
+function escapeHtml(str) {
+  return str.replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function renderResult({ id, name, lift }) {
+  const detail = lift ? `<span class="lift">${escapeHtml(lift)}</span>` : '';
+  return `<li><a href="/resort/${id}">${escapeHtml(name)}${detail}</a></li>`;
+}
+
+/**
+ * Typeahead for the search form: displays resorts matching the query and jumps to the selected one
+ */
+export default function search() {
+  const form = document.querySelector('form.search');
+  if (!form) {
+    return;
+  }
+  const input = form.querySelector('input');
+  const list = form.querySelector('.search-results');
+  let query = '';
+  let selected = -1;
+
+  function items() {
+    return Array.from(list.querySelectorAll('a'));
+  }
+
+  function select(index) {
+    const all = items();
+    if (!all.length) {
+      return;
+    }
+    selected = (index + all.length) % all.length;
+    all.forEach((a, i) => a.classList.toggle('selected', i === selected));
+  }
+
+  function show(results) {
+    selected = -1;
+    list.innerHTML = results.map(renderResult).join('');
+    list.classList.toggle('hidden', !results.length);
+  }
+
+  function update() {
+    const q = input.value.trim();
+    if (q === query) {
+      return;
+    }
+    query = q;
+    if (!q) {
+      return show([]);
+    }
+    fetch(`/api/search?q=${encodeURIComponent(q)}`)
+      .then(res => res.json())
+      .then(results => q === query && show(results));
+  }
+
+  input.addEventListener('input', debounce(update, 150));
+  input.addEventListener('keydown', e => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        select(selected + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        select(selected - 1);
+        break;
+      case 'Escape':
+        show([]);
+        break;
+    }
+  });
+  form.addEventListener('submit', e => {
+    // jump to the selected resort or to the first one found
+    const a = items()[Math.max(selected, 0)];
+    if (a) {
+      e.preventDefault();
+      window.location.href = a.href;
+    }
+  });
+}
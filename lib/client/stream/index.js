@@ -0,0 +1,55 @@
+/**
+ * Subscribes to the changes of the open resorts.
+ * Resorts are marked as `live` while the stream is connected, and fall back to polling otherwise.
+ *
+ * @param {Array} resorts list of resort components
+ */
+export default function stream(resorts) {
+  let source;
+  let ids = '';
+
+  function live(flag) {
+    resorts.forEach(r => r.live(flag));
+  }
+
+  function onmessage({ data }) {
+    const change = JSON.parse(data);
+    resorts.find(r => r.node.dataset.resort === change.id)?.update(change);
+  }
+
+  function close() {
+    if (source) {
+      source.close();
+      source = undefined;
+    }
+    live(false);
+  }
+
+  function update() {
+    if (!window.EventSource) {
+      // not supported - keep polling
+      return;
+    }
+    const open = resorts
+      .filter(r => r.node.classList.contains('open'))
+      .map(r => r.node.dataset.resort)
+      .join(',');
+    if (open === ids) {
+      return;
+    }
+    ids = open;
+    close();
+    if (!ids) {
+      return;
+    }
+    source = new EventSource(`/api/stream?resorts=${encodeURIComponent(ids)}`);
+    source.onopen = () => live(true);
+    // EventSource reconnects on its own - poll in the meantime
+    source.onerror = () => live(false);
+    source.onmessage = onmessage;
+  }
+
+  return {
+    update
+  };
+}
@@ -0,0 +1,94 @@
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import Debug from 'debug';
+import { minute } from '../tools/millis.js';
+
+const debug = Debug('liftie:deals');
+
+// check if the feed file changed not more often than that
+const CHECK_INTERVAL = 5 * minute;
+
+function parseLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += c;
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+/**
+ * Parses CSV with a header line into array of objects
+ */
+export function parseCsv(str) {
+  const [header, ...lines] = str.split(/\r?\n/).filter(line => line.trim());
+  const names = parseLine(header);
+  return lines.map(line => {
+    const fields = parseLine(line);
+    return Object.fromEntries(names.map((name, i) => [name, fields[i]]));
+  });
+}
+
+function parse(str, file) {
+  return path.extname(file) === '.csv' ? parseCsv(str) : JSON.parse(str);
+}
+
+function groupByResort(offers) {
+  return offers.reduce((byResort, { resort, ...offer }) => {
+    (byResort[resort] ??= []).push(offer);
+    return byResort;
+  }, {});
+}
+
+/**
+ * Provider of offers listed in local JSON or CSV `file`: each offer has `resort` id, `title`, `discount`, `href`
+ * and `expires` date. The file is read again when it changes.
+ */
+export default function feed(file) {
+  let checked = 0;
+  let mtime;
+  let offers = {};
+
+  async function load() {
+    const now = Date.now();
+    if (now - checked < CHECK_INTERVAL) {
+      return offers;
+    }
+    checked = now;
+    try {
+      const s = await stat(file);
+      if (s.mtimeMs !== mtime) {
+        debug('Loading deals from %s', file);
+        offers = groupByResort(parse(await readFile(file, 'utf8'), file));
+        mtime = s.mtimeMs;
+      }
+    } catch (e) {
+      console.error('Cannot load deals from', file, e);
+    }
+    return offers;
+  }
+
+  return async function provider(resort) {
+    const offers = await load();
+    return offers[resort.id] ?? [];
+  };
+}
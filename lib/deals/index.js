@@ -0,0 +1,79 @@
+import Debug from 'debug';
+import { LIFTIE_DEALS } from '../env.js';
+import { day, hour } from '../tools/millis.js';
+import feed from './feed.js';
+
+const debug = Debug('liftie:deals');
+
+fetch.interval = {
+  active: hour,
+  inactive: hour // expired deals have to be removed even if no one is looking
+};
+
+const providers = LIFTIE_DEALS ? [feed(LIFTIE_DEALS)] : [];
+
+/**
+ * Adds deals provider: async function that receives resort and returns a list of its offers
+ */
+export function register(provider) {
+  providers.push(provider);
+}
+
+// date without time expires at the end of the day
+function expiresAt(expires) {
+  const time = Date.parse(expires);
+  return /^\d{4}-\d{2}-\d{2}$/.test(expires) ? time + day : time;
+}
+
+// offers without expiry date never expire
+export function current(offers, now = Date.now()) {
+  return offers.filter(({ expires }) => !expires || !(expiresAt(expires) <= now));
+}
+
+// percentages and amounts can't be compared: percentages first, then amounts, then discounts without numbers
+const KINDS = ['percent', 'amount', 'other'];
+
+function value({ discount }) {
+  const text = String(discount ?? '');
+  const number = Number.parseFloat(/\d+(?:\.\d+)?/.exec(text.replace(/,/g, ''))?.[0]);
+  if (Number.isNaN(number)) {
+    return { kind: 'other', number: 0 };
+  }
+  return { kind: text.includes('%') ? 'percent' : 'amount', number };
+}
+
+// larger discounts of the same kind first
+function compare(a, b) {
+  const va = value(a);
+  const vb = value(b);
+  return KINDS.indexOf(va.kind) - KINDS.indexOf(vb.kind) || vb.number - va.number;
+}
+
+/**
+ * Converts offers into resort deals: the best offer and the list of all of them
+ */
+export function deals(offers, now) {
+  const list = current(offers, now)
+    .map(({ title, discount, href, expires }) => ({ title, discount, href, expires }))
+    .sort(compare);
+  if (!list.length) {
+    return;
+  }
+  const [{ title, discount, href }] = list;
+  return {
+    title,
+    discount,
+    href,
+    deals: list
+  };
+}
+
+export default function fetch(resort, fn) {
+  if (!providers.length) {
+    return process.nextTick(fn);
+  }
+  debug('Fetch deals for %s', resort.id);
+  Promise.all(providers.map(provider => provider(resort)))
+    .then(offers => fn(null, deals(offers.flat())))
+    .catch(fn);
+}
@@ -2,8 +2,22 @@ import { tmpdir } from 'node:os';
 
 const {
   CSP_REPORT_URI,
+  LIFTIE_ADMIN_TOKEN,
   LIFTIE_CSP_ENFORCE,
+  LIFTIE_DEALS,
+  LIFTIE_FETCH_CONCURRENCY = 8,
+  LIFTIE_FETCH_RETRIES = 2,
+  LIFTIE_FETCH_TIMEOUT = 20000,
+  LIFTIE_FIXTURES = 'test/replay/fixtures',
+  LIFTIE_HISTORY_DAYS = 7,
+  LIFTIE_HOST_CONCURRENCY = 2,
+  LIFTIE_HOST_SPACING = 1000,
+  LIFTIE_MAP_ATTRIBUTION,
+  LIFTIE_MAP_TILES,
+  LIFTIE_PROXY,
   LIFTIE_STATIC_HOST = '',
+  LIFTIE_STORE = 'json',
+  LIFTIE_UPSTREAM,
   LIFTIE_USER_AGENT,
   LOG_DIR = tmpdir(),
   NODE_ENV = 'development',
@@ -18,8 +32,22 @@ const { SITE_URL } = process.env;
 
 export {
   CSP_REPORT_URI,
+  LIFTIE_ADMIN_TOKEN,
   LIFTIE_CSP_ENFORCE,
+  LIFTIE_DEALS,
+  LIFTIE_FETCH_CONCURRENCY,
+  LIFTIE_FETCH_RETRIES,
+  LIFTIE_FETCH_TIMEOUT,
+  LIFTIE_FIXTURES,
+  LIFTIE_HISTORY_DAYS,
+  LIFTIE_HOST_CONCURRENCY,
+  LIFTIE_HOST_SPACING,
+  LIFTIE_MAP_ATTRIBUTION,
+  LIFTIE_MAP_TILES,
+  LIFTIE_PROXY,
   LIFTIE_STATIC_HOST,
+  LIFTIE_STORE,
+  LIFTIE_UPSTREAM,
   LIFTIE_USER_AGENT,
   LOG_DIR,
   NODE_ENV,
@@ -0,0 +1,101 @@
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import Debug from 'debug';
+import { upstreamLabels } from './metrics.js';
+
+const debug = Debug('liftie:fixtures');
+
+// query parameters with API keys - never saved in fixtures
+const SECRETS = ['appid', 'key', 'apikey', 'api_key'];
+
+// headers that are not needed to replay the response
+const SKIP_HEADERS = ['set-cookie', 'content-encoding', 'content-length', 'transfer-encoding', 'connection'];
+
+/**
+ * Identifies request in the fixture file: method, URL without API keys and request body
+ */
+export function requestKey(url, { method = 'GET', body } = {}) {
+  const u = new URL(url);
+  SECRETS.forEach(name => u.searchParams.delete(name));
+  return [method, u.href, body].filter(Boolean).join(' ');
+}
+
+/**
+ * Upstream responses saved in `dir` - one file for each resort and plugin
+ * keyed by labels of the upstream fetch in progress
+ */
+export default function fixtures(dir) {
+  function file() {
+    const { plugin, resort } = upstreamLabels();
+    return path.join(dir, resort, `${plugin}.json`);
+  }
+
+  async function load(file) {
+    try {
+      return JSON.parse(await readFile(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.error('Cannot read fixture', file, e);
+      }
+      return {};
+    }
+  }
+
+  // pending writes of each fixture file - records of concurrent fetches are written one at a time
+  const writing = new Map();
+
+  function save(file, key, response) {
+    const write = (writing.get(file) ?? Promise.resolve()).then(() => update(file, key, response));
+    writing.set(file, write);
+    return write;
+  }
+
+  async function update(file, key, response) {
+    try {
+      const responses = await load(file);
+      responses[key] = response;
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, JSON.stringify(responses, null, 2));
+    } catch (e) {
+      console.error('Cannot write fixture', file, e);
+    }
+  }
+
+  /**
+   * Saves response `res` to `url` and returns the response that can be still consumed by the caller
+   */
+  async function record(url, init, res) {
+    if (res.status === 304) {
+      // nothing to record - keep the fixture from the last full response
+      return res;
+    }
+    const f = file();
+    const key = requestKey(url, init);
+    const body = await res.text();
+    const headers = Object.fromEntries(Array.from(res.headers).filter(([name]) => !SKIP_HEADERS.includes(name)));
+    debug('Recording %s to %s', key, f);
+    await save(f, key, { status: res.status, headers, body });
+    return new Response(body || null, { status: res.status, headers });
+  }
+
+  /**
+   * Responds to the request with the recorded response
+   */
+  async function replay(url, init) {
+    const f = file();
+    const key = requestKey(url, init);
+    const responses = await load(f);
+    const recorded = responses[key];
+    if (!recorded) {
+      throw new Error(`No recorded response for ${key} in ${f}`);
+    }
+    debug('Replaying %s from %s', key, f);
+    const { status, headers, body } = recorded;
+    return new Response(body || null, { status, headers });
+  }
+
+  return {
+    record,
+    replay
+  };
+}
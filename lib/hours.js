@@ -0,0 +1,126 @@
+import tzlookup from '@photostructure/tz-lookup';
+
+// typical operating hours if resort does not configure them
+const DEFAULT_HOURS = { opens: '09:00', closes: '16:00' };
+
+// how long before opening the resort is considered opening
+const NEAR_OPENING = 60;
+
+const formats = new Map();
+const dateFormats = new Map();
+
+function getFormat(timeZone) {
+  let format = formats.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    formats.set(timeZone, format);
+  }
+  return format;
+}
+
+function getDateFormat(timeZone) {
+  let format = dateFormats.get(timeZone);
+  if (!format) {
+    // en-CA formats dates as YYYY-MM-DD
+    format = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    dateFormats.set(timeZone, format);
+  }
+  return format;
+}
+
+// minutes since midnight
+function toMinutes(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time ?? '');
+  return match ? 60 * match[1] + Number(match[2]) : undefined;
+}
+
+function formatMinutes(minutes) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+const zones = new Map();
+
+function lookup(ll) {
+  if (ll?.length !== 2) {
+    return;
+  }
+  const key = ll.join();
+  if (!zones.has(key)) {
+    let zone;
+    try {
+      zone = tzlookup(ll[1], ll[0]);
+    } catch {
+      // invalid coordinates
+    }
+    zones.set(key, zone);
+  }
+  return zones.get(key);
+}
+
+/**
+ * IANA time zone of the resort: configured in its descriptor or found from its location
+ */
+export function timezone({ timezone, ll }) {
+  return timezone ?? lookup(ll);
+}
+
+/**
+ * Local time of day in minutes since midnight
+ */
+export function localTime(timeZone, now = Date.now()) {
+  const parts = getFormat(timeZone).formatToParts(now);
+  const part = type => Number(parts.find(p => p.type === type).value);
+  return 60 * part('hour') + part('minute');
+}
+
+/**
+ * Local date as YYYY-MM-DD
+ */
+export function localDate(timeZone, now = Date.now()) {
+  return getDateFormat(timeZone).format(now);
+}
+
+/**
+ * Calculates local time and operating hours of the `resort` with known time zone:
+ * - `time` - local time
+ * - `opens` and `closes` - daily operating hours if configured
+ * - `state` - `open` during operating hours, `opening` within an hour before opening, otherwise `closed`;
+ * typical operating hours are assumed if they are not configured
+ */
+export function hours(resort, now = Date.now()) {
+  const tz = timezone(resort);
+  if (!tz) {
+    return;
+  }
+  let time;
+  try {
+    time = localTime(tz, now);
+  } catch (e) {
+    console.error('Invalid time zone for %s: %s', resort.id, tz, e.message);
+    return;
+  }
+  let opens = toMinutes(resort.hours?.opens);
+  let closes = toMinutes(resort.hours?.closes);
+  const configured = opens !== undefined && closes !== undefined;
+  if (!configured) {
+    opens = toMinutes(DEFAULT_HOURS.opens);
+    closes = toMinutes(DEFAULT_HOURS.closes);
+  }
+  let state = 'closed';
+  if (opens <= time && time < closes) {
+    state = 'open';
+  } else if (opens - NEAR_OPENING <= time && time < opens) {
+    state = 'opening';
+  }
+  const result = {
+    timezone: tz,
+    time: formatMinutes(time)
+  };
+  if (configured) {
+    result.opens = formatMinutes(opens);
+    result.closes = formatMinutes(closes);
+  }
+  result.state = state;
+  return result;
+}
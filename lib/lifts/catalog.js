@@ -0,0 +1,33 @@
+import { normalize } from './names.js';
+
+/**
+ * Picks entries of resort lift `catalog` for the lifts in `status`.
+ * Catalog entries are matched by name regardless of case and whitespace.
+ */
+export default function catalog(entries, status) {
+  if (!entries) {
+    return;
+  }
+  const byName = new Map(Object.entries(entries).map(([name, info]) => [normalize(name), info]));
+  return Object.keys(status).reduce((result, name) => {
+    const info = byName.get(normalize(name));
+    if (info) {
+      result[name] = info;
+    }
+    return result;
+  }, {});
+}
+
+/**
+ * Short description of the catalog entry: type, seats, vertical and elevations (in feet)
+ */
+export function describe({ type, seats, vertical, base, summit }) {
+  return [
+    type,
+    seats && `${seats} seats`,
+    vertical && `${vertical} ft vertical`,
+    base && summit && `${base}-${summit} ft`
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
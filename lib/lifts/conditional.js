@@ -0,0 +1,139 @@
+import { createHash } from 'node:crypto';
+import Debug from 'debug';
+import { upstreamUnchanged } from '../metrics.js';
+
+const debug = Debug('liftie:lifts');
+
+// how many response bodies are kept for parsers that have not seen them yet
+const MAX_BODIES = 20;
+
+// validators, content hash and time of the last response for each upstream URL - shared by all parsers
+const responses = new Map();
+
+// bodies of the most recently used responses - least recently used are evicted first
+const bodies = new Map();
+
+// content hash and parsed result of the last response for each parser and upstream URL
+const parsers = new WeakMap();
+
+function results(parser) {
+  let r = parsers.get(parser);
+  if (!r) {
+    r = new Map();
+    parsers.set(parser, r);
+  }
+  return r;
+}
+
+function digest(body) {
+  return createHash('sha1').update(body).digest('base64');
+}
+
+function getBody(key) {
+  const body = bodies.get(key);
+  if (body !== undefined) {
+    // move to the end as the most recently used
+    bodies.delete(key);
+    bodies.set(key, body);
+  }
+  return body;
+}
+
+function setBody(key, body) {
+  bodies.delete(key);
+  bodies.set(key, body);
+  if (bodies.size > MAX_BODIES) {
+    bodies.delete(bodies.keys().next().value);
+  }
+}
+
+// true if `parser` can get its result without the body of the response
+function parsed(parser, key) {
+  return results(parser).get(key)?.hash === responses.get(key)?.hash;
+}
+
+// true if the last response from `key` can be parsed or its parsed result is known
+function reusable(parser, key) {
+  return responses.has(key) && (parsed(parser, key) || bodies.has(key));
+}
+
+/**
+ * Headers making the request conditional on the last response received from `key` - only if `parser` does not
+ * need the body or we still have it, otherwise the response needs to be downloaded again
+ */
+export function conditionalHeaders(parser, key) {
+  const headers = {};
+  if (!reusable(parser, key)) {
+    return headers;
+  }
+  const last = responses.get(key);
+  if (last.etag) {
+    headers['If-None-Match'] = last.etag;
+  }
+  if (last.lastModified) {
+    headers['If-Modified-Since'] = last.lastModified;
+  }
+  return headers;
+}
+
+/**
+ * True if `res` is `304 Not Modified` and we can still use the last response
+ */
+export function notModified(parser, key, res) {
+  return res.status === 304 && reusable(parser, key);
+}
+
+/**
+ * True if the last response from `key` was received not longer than `maxAge` millis ago and we still have it
+ */
+export function recent(parser, key, maxAge) {
+  const last = responses.get(key);
+  return Boolean(last && maxAge && Date.now() - last.timestamp <= maxAge && reusable(parser, key));
+}
+
+/**
+ * Calls `parse(body, fn)` only if the response has been modified since the last time it was parsed by `parser`
+ * otherwise `fn` receives the last parsed result.
+ *
+ * @param parser - resort parser - results of different parsers of the same URL are kept separately
+ * @param key - upstream URL
+ * @param res - fetch response - `undefined` to parse the last response received from `key`
+ * @param body - response text - `undefined` for `304 Not Modified`
+ * @param parse(body, fn) - parses body and calls `fn(err, result)`
+ * @param fn(err, result)
+ */
+export default function parseModified(parser, key, res, body, parse, fn) {
+  let response = responses.get(key);
+  if (res?.status === 304) {
+    response.timestamp = Date.now();
+  } else if (res) {
+    response = {
+      etag: res.headers.get('etag'),
+      lastModified: res.headers.get('last-modified'),
+      hash: digest(body),
+      timestamp: Date.now()
+    };
+    responses.set(key, response);
+    setBody(key, body);
+  }
+  const last = results(parser).get(key);
+  if (last?.hash === response.hash) {
+    const reason = res?.status === 304 ? 'not_modified' : 'same_content';
+    debug('Skip parsing %s: %s', key, reason);
+    upstreamUnchanged(reason);
+    // copy so that the last result is never shared with the caller
+    return fn(null, { ...last.result });
+  }
+  parse(body ?? getBody(key), (err, result) => {
+    if (err) {
+      return fn(err);
+    }
+    Promise.resolve(result).then(result => {
+      results(parser).set(key, {
+        hash: response.hash,
+        result: { ...result }
+      });
+      fn(null, result);
+    }, fn);
+  });
+}
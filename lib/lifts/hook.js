@@ -0,0 +1,60 @@
+import fetchLifts, { getRequestFnAndUrl } from './index.js';
+import getParseFn from './parse.js';
+
+// hooks parse lift status page downloaded within that time instead of requesting it again
+const MAX_AGE = fetchLifts.interval.inactive;
+
+// hooks may return properties without values - nothing is found if none of them has value
+function found(data) {
+  const entries = Object.entries(data ?? {}).filter(([, value]) => value !== undefined);
+  return entries.length ? Object.fromEntries(entries) : undefined;
+}
+
+async function getHookParseFn(id, hook) {
+  try {
+    return await getParseFn(id, hook);
+  } catch (e) {
+    if (e.code === 'ERR_MODULE_NOT_FOUND') {
+      return null;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Upstream host for resort `hook` - nothing if we already know that resort does not have the hook
+ */
+export function hookHost(hook, resort) {
+  return resort._hooks?.[hook] === null ? undefined : fetchLifts.host(resort);
+}
+
+/**
+ * Retrieves data from the same place as lift status and parses it with `hook` module in resort directory
+ * (`trails.js`, `snow.js` etc.) - recently downloaded lift status page is reused
+ * `fn` is called without data if resort does not have the hook or if hook does not find anything.
+ */
+export default async function fetchHook(hook, resort, fn) {
+  resort._hooks ??= {};
+  if (resort._hooks[hook] === undefined) {
+    resort._hooks[hook] = await getHookParseFn(resort.id, hook);
+  }
+  const parse = resort._hooks[hook];
+  if (!parse) {
+    return process.nextTick(fn);
+  }
+  if (!resort._rfau) {
+    resort._rfau = getRequestFnAndUrl(resort);
+  }
+  const rfau = resort._rfau;
+  rfau.fn(
+    rfau.url,
+    parse,
+    (err, data) => {
+      if (err) {
+        return fn(err);
+      }
+      Promise.resolve(data).then(data => fn(null, found(data)), fn);
+    },
+    MAX_AGE
+  );
+}
@@ -1,4 +1,6 @@
 import Debug from 'debug';
+import catalog from './catalog.js';
+import canonical from './names.js';
 import getParseFn from './parse.js';
 import pipe from './pipe.js';
 import rest from './rest.js';
@@ -11,10 +13,12 @@ const longInterval = 30 * shortInterval; // once every 30 minutes - fetch even i
 
 fetch.interval = {
   active: shortInterval,
-  inactive: longInterval
+  inactive: longInterval,
+  daytime: 10 * shortInterval, // every 10 minutes near opening time and during operating hours
+  overnight: 2 * longInterval // not more often than once an hour at night
 };
 
-function getRequestFnAndUrl(resort) {
+export function getRequestFnAndUrl(resort) {
   if (resort.api) {
     return {
       fn: rest,
@@ -39,6 +43,13 @@ function getRequestFnAndUrl(resort) {
   };
 }
 
+// upstream host - used to limit concurrent requests to the same server
+fetch.host = resort => {
+  resort._rfau ??= getRequestFnAndUrl(resort);
+  const host = resort._rfau.url?.host;
+  return URL.canParse(host) ? new URL(host).host : undefined;
+};
+
 export default async function fetch(resort, fn) {
   if (!resort._rfau) {
     resort._rfau = getRequestFnAndUrl(resort);
@@ -48,15 +59,22 @@ export default async function fetch(resort, fn) {
   }
   debug('Fetch lift status for %s', resort.id);
   const rfau = resort._rfau;
-  rfau.fn(rfau.url, resort._parseFn, (_err, data) => {
-    Promise.resolve(data).then((data, err) => {
-      if (err || !data) {
-        data = {};
-      }
-      fn(null, {
+  rfau.fn(rfau.url, resort._parseFn, (err, data) => {
+    if (err) {
+      // keep the last known status
+      return fn(err);
+    }
+    Promise.resolve(data).then(data => {
+      data = canonical(resort, data || {});
+      const lifts = catalog(resort.catalog, data);
+      const result = {
         status: data,
-        stats: stats(data)
-      });
-    });
+        stats: stats(data, lifts)
+      };
+      if (lifts) {
+        result.catalog = lifts;
+      }
+      fn(null, result);
+    }, fn);
   });
 }
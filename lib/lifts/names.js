@@ -0,0 +1,29 @@
+export function normalize(name) {
+  return name.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Applies lift name settings from resort descriptor to parsed lift status:
+ * - `aliases` map names found on the resort page to canonical lift names
+ * - `hide` lists names of things that are not really lifts (magic carpets etc.)
+ * - `order` lists canonical names in display order - lifts not listed follow in the order found on the page
+ *
+ * Names are matched regardless of case and whitespace.
+ */
+export default function canonical({ aliases, hide, order }, status) {
+  if (!aliases && !hide && !order) {
+    return status;
+  }
+  const names = new Map(Object.entries(aliases ?? {}).map(([name, alias]) => [normalize(name), alias]));
+  const hidden = new Set(hide?.map(normalize));
+  const entries = Object.entries(status)
+    .filter(([name]) => !hidden.has(normalize(name)))
+    .map(([name, s]) => [names.get(normalize(name)) ?? name, s])
+    .filter(([name]) => !hidden.has(normalize(name)));
+  if (order) {
+    const positions = new Map(order.map((name, i) => [normalize(name), i]));
+    const position = ([name]) => positions.get(normalize(name)) ?? order.length;
+    entries.sort((a, b) => position(a) - position(b));
+  }
+  return Object.fromEntries(entries);
+}
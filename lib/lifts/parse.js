@@ -1,13 +1,15 @@
 import Debug from 'debug';
+import { parseError } from '../metrics.js';
 import * as domutil from '../tools/domutil.js';
 
 const debug = Debug('liftie:lifts');
 
 /**
  * catch exceptions thrown by parse
+ * `hook` is the name of the resort module: `index` parses lift status, `trails` parses trail status etc.
  */
-export default async function getParseFn(resortId) {
-  const { default: descriptor } = await import(`../resorts/${resortId}/index.js`);
+export default async function getParseFn(resortId, hook = 'index') {
+  const { default: descriptor } = await import(`../resorts/${resortId}/${hook}.js`);
   const parse = typeof descriptor === 'function' ? descriptor : collectParse;
 
   wrappedParse.isAsync = parse.length > 1;
@@ -19,6 +21,7 @@ export default async function getParseFn(resortId) {
       return parse(...args);
     } catch (e) {
       console.error(`Exception when parsing ${resortId}`, e);
+      parseError(resortId);
       return {};
     }
   }
@@ -1,21 +1,42 @@
+import parseModified, { conditionalHeaders, notModified, recent } from './conditional.js';
 import { parseHtml } from './parser.js';
-import request from './request.js';
+import request, { fullUrl } from './request.js';
 
-export default (url, parse, fn) => {
-  request(url)
-    .then(async res => {
-      if (res.status < 200 || res.status >= 300) {
-        console.error('Error', url, res.status);
-        if (!url.ignoreErrors) {
-          return fn(res.status);
+function parseBody(parse) {
+  return (text, fn) => parseHtml(text, parse, fn);
+}
+
+// `maxAge` - reuse the response received not longer than `maxAge` millis ago instead of requesting it again
+export default (url, parse, fn, maxAge) => {
+  const key = fullUrl(url).href;
+  if (recent(parse, key, maxAge)) {
+    return parseModified(parse, key, undefined, undefined, parseBody(parse), fn);
+  }
+  get(conditionalHeaders(parse, key));
+
+  function get(headers) {
+    request(url, headers)
+      .then(async res => {
+        if (notModified(parse, key, res)) {
+          return parseModified(parse, key, res, undefined, parseBody(parse), fn);
+        }
+        if (res.status === 304 && Object.keys(headers).length) {
+          // the last response is not available anymore - download it again
+          return get({});
+        }
+        if (res.status < 200 || res.status >= 300) {
+          console.error('Error', url, res.status);
+          if (!url.ignoreErrors) {
+            return fn(res.status);
+          }
+        }
+        const text = await res.text();
+        if (!text) {
+          console.error('Empty response', url);
+          return fn('empty response');
         }
-      }
-      const text = await res.text();
-      if (!text) {
-        console.error('Empty response', url);
-        return fn('empty response');
-      }
-      parseHtml(text, parse, fn);
-    })
-    .catch(fn);
+        parseModified(parse, key, res, text, parseBody(parse), fn);
+      })
+      .catch(fn);
+  }
 };
@@ -1,14 +1,13 @@
-import { LIFTIE_USER_AGENT } from '../env.js';
+import upstream from '../upstream.js';
 
-export default function request({ host, pathname, query }) {
-  const fullUrl = new URL(pathname, host);
+export function fullUrl({ host, pathname, query }) {
+  const url = new URL(pathname, host);
   if (query) {
-    fullUrl.search = new URLSearchParams(query).toString();
+    url.search = new URLSearchParams(query).toString();
   }
-  return fetch(fullUrl, {
-    headers: {
-      'User-Agent': LIFTIE_USER_AGENT,
-      Accept: '*/*'
-    }
-  });
+  return url;
+}
+
+export default function request(url, headers) {
+  return upstream(fullUrl(url), { headers });
 }
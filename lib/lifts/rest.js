@@ -1,36 +1,59 @@
-import { LIFTIE_USER_AGENT } from '../env.js';
+import upstream from '../upstream.js';
+import parseModified, { conditionalHeaders, notModified, recent } from './conditional.js';
 import { parseHtml } from './parser.js';
+import { fullUrl } from './request.js';
 
-export default function rest(url, parse, fn) {
-  const fullUrl = new URL(url.pathname, url.host);
-  if (url.query) {
-    fullUrl.search = new URLSearchParams(url.query).toString();
-  }
+function parseBody(url, parse) {
+  return (text, fn) => {
+    if (url.html) {
+      return parseHtml(text, parse, fn);
+    }
+    const body = JSON.parse(text);
+    if (parse.isAsync) {
+      parse(body, fn);
+    } else {
+      fn(null, parse(body));
+    }
+  };
+}
+
+// `maxAge` - reuse the response received not longer than `maxAge` millis ago instead of requesting it again
+export default function rest(url, parse, fn, maxAge) {
   const reqInit = {
     headers: {
-      'User-Agent': LIFTIE_USER_AGENT,
       Accept: 'application/json'
     }
   };
+  const reqUrl = fullUrl(url);
+  let key = reqUrl.href;
   if (url.body) {
     reqInit.body = JSON.stringify(url.body);
     reqInit.method = 'POST';
+    key = `${key} ${reqInit.body}`;
   }
+  if (recent(parse, key, maxAge)) {
+    return Promise.resolve()
+      .then(() => parseModified(parse, key, undefined, undefined, parseBody(url, parse), fn))
+      .catch(fn);
+  }
+  get(url.body ? {} : conditionalHeaders(parse, key));
 
-  fetch(fullUrl, reqInit)
-    .then(async res => {
-      if (res.status < 200 || res.status >= 300) {
-        return fn(res.status);
-      }
-      if (url.html) {
-        return parseHtml(await res.text(), parse, fn);
-      }
-      const body = await res.json();
-      if (parse.isAsync) {
-        parse(body, fn);
-      } else {
-        fn(null, parse(body));
-      }
-    })
-    .catch(fn);
+  function get(headers) {
+    upstream(reqUrl, { ...reqInit, headers: { ...reqInit.headers, ...headers } })
+      .then(async res => {
+        if (notModified(parse, key, res)) {
+          return parseModified(parse, key, res, undefined, parseBody(url, parse), fn);
+        }
+        if (res.status === 304 && Object.keys(headers).length) {
+          // the last response is not available anymore - download it again
+          return get({});
+        }
+        if (res.status < 200 || res.status >= 300) {
+          return fn(res.status);
+        }
+        const text = await res.text();
+        parseModified(parse, key, res, text, parseBody(url, parse), fn);
+      })
+      .catch(fn);
+  }
 }
@@ -19,12 +19,24 @@ function percentage(status) {
   }, empty());
 }
 
-export default function stats(status) {
+/**
+ * Counts lifts in each state. If lift `catalog` is known `capacity` reports percentages weighted by lift capacity
+ * so that a closed surface lift does not count the same as a closed tram - only lifts with known capacity are counted.
+ */
+export default function stats(status, catalog) {
   const r = Object.keys(status).reduce((memo, lift) => {
     memo[status[lift]] += 1;
     return memo;
   }, empty(0));
   r.percentage = percentage(r);
+  const rated = catalog ? Object.keys(status).filter(lift => catalog[lift]?.capacity) : [];
+  if (rated.length) {
+    const weighted = rated.reduce((memo, lift) => {
+      memo[status[lift]] += catalog[lift].capacity;
+      return memo;
+    }, empty(0));
+    r.capacity = percentage(weighted);
+  }
   return r;
 }
 
@@ -0,0 +1,200 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// minimal registry of metrics exposed in Prometheus text format
+const registry = [];
+
+// plugin and resort of the upstream fetch in progress - used to label metrics collected deep in the call stack
+const upstream = new AsyncLocalStorage();
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function key(labelNames, labels = {}) {
+  return labelNames.map(name => `${name}="${escapeLabel(labels[name] ?? '')}"`).join(',');
+}
+
+function line(name, labelStr, value) {
+  return labelStr ? `${name}{${labelStr}} ${value}` : `${name} ${value}`;
+}
+
+function metric(type, name, help, labelNames, render) {
+  const values = new Map();
+  registry.push(() => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render(values)].join('\n'));
+  return {
+    values,
+    key: labels => key(labelNames, labels)
+  };
+}
+
+export function counter(name, help, labelNames = []) {
+  const { values, key } = metric('counter', name, help, labelNames, values =>
+    Array.from(values, ([labels, value]) => line(name, labels, value))
+  );
+  return {
+    inc(labels, value = 1) {
+      const k = key(labels);
+      values.set(k, (values.get(k) ?? 0) + value);
+    }
+  };
+}
+
+export function gauge(name, help, labelNames = []) {
+  const { values, key } = metric('gauge', name, help, labelNames, values =>
+    Array.from(values, ([labels, value]) => line(name, labels, value))
+  );
+  return {
+    set(labels, value) {
+      values.set(key(labels), value);
+    }
+  };
+}
+
+export function histogram(name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]) {
+  const { values, key } = metric('histogram', name, help, labelNames, values =>
+    Array.from(values, ([labels, { counts, sum, count }]) => {
+      const sep = labels ? ',' : '';
+      return [
+        ...buckets.map((le, i) => `${name}_bucket{${labels}${sep}le="${le}"} ${counts[i]}`),
+        `${name}_bucket{${labels}${sep}le="+Inf"} ${count}`,
+        line(`${name}_sum`, labels, sum),
+        line(`${name}_count`, labels, count)
+      ].join('\n');
+    })
+  );
+  return {
+    observe(labels, value) {
+      const k = key(labels);
+      let h = values.get(k);
+      if (!h) {
+        h = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        values.set(k, h);
+      }
+      buckets.forEach((le, i) => {
+        if (value <= le) {
+          h.counts[i] += 1;
+        }
+      });
+      h.sum += value;
+      h.count += 1;
+    }
+  };
+}
+
+/**
+ * Returns all metrics in Prometheus text exposition format
+ */
+export function render() {
+  return `${registry.map(fn => fn()).join('\n')}\n`;
+}
+
+/**
+ * Runs `fn` in the context of upstream fetch of `plugin` for `resort`
+ */
+export function withUpstream(plugin, resort, fn) {
+  return upstream.run({ plugin, resort }, fn);
+}
+
+/**
+ * Labels of the upstream fetch in progress
+ */
+export function upstreamLabels() {
+  return upstream.getStore() ?? { plugin: 'unknown', resort: 'unknown' };
+}
+
+function seconds(start) {
+  return (performance.now() - start) / 1000;
+}
+
+// upstream fetches
+
+const fetchDuration = histogram('liftie_upstream_fetch_duration_seconds', 'Duration of upstream fetches.', [
+  'plugin',
+  'resort',
+  'result'
+]);
+const httpResponses = counter('liftie_upstream_http_responses_total', 'Upstream HTTP responses by status.', [
+  'plugin',
+  'resort',
+  'status'
+]);
+const parseErrors = counter('liftie_parse_errors_total', 'Exceptions thrown when parsing lift status.', ['resort']);
+const unchanged = counter('liftie_upstream_unchanged_total', 'Upstream responses not parsed again.', [
+  'plugin',
+  'resort',
+  'reason'
+]);
+const rateLimited = counter('liftie_rate_limited_total', 'Upstream requests rejected by rate limiter.', [
+  'plugin',
+  'resort'
+]);
+
+export function fetchTimer(plugin, resort) {
+  const start = performance.now();
+  return function done(err) {
+    fetchDuration.observe({ plugin, resort, result: err ? 'error' : 'success' }, seconds(start));
+  };
+}
+
+export function upstreamResponse(status) {
+  httpResponses.inc({ ...upstreamLabels(), status });
+}
+
+export function upstreamUnchanged(reason) {
+  unchanged.inc({ ...upstreamLabels(), reason });
+}
+
+export function parseError(resort) {
+  parseErrors.inc({ resort });
+}
+
+export function rateLimit() {
+  rateLimited.inc(upstreamLabels());
+}
+
+const queueDepth = gauge('liftie_fetch_queue_depth', 'Upstream fetches waiting in the queue.');
+const queueRunning = gauge('liftie_fetch_running', 'Upstream fetches in progress.');
+
+export function fetchQueue({ queued, running }) {
+  queueDepth.set({}, queued);
+  queueRunning.set({}, running);
+}
+
+// inbound requests
+
+const requestDuration = histogram('liftie_http_request_duration_seconds', 'Duration of inbound HTTP requests.', [
+  'method',
+  'route',
+  'status'
+]);
+
+/**
+ * Middleware measuring inbound requests - labeled with the route path to keep the number of series low
+ */
+export function requests(req, res, next) {
+  const start = performance.now();
+  res.on('finish', () => {
+    requestDuration.observe(
+      {
+        method: req.method,
+        route: req.route?.path ?? 'other',
+        status: res.statusCode
+      },
+      seconds(start)
+    );
+  });
+  next();
+}
+
+// cache
+
+const dumpDuration = histogram('liftie_cache_dump_duration_seconds', 'Duration of writing cache to disk.', ['file']);
+const dumpSize = gauge('liftie_cache_dump_bytes', 'Size of the last cache dump.', ['file']);
+
+export function dumpTimer(file) {
+  const start = performance.now();
+  return function done(size) {
+    dumpDuration.observe({ file }, seconds(start));
+    dumpSize.set({ file }, size);
+  };
+}
@@ -0,0 +1,15 @@
+export default parse;
+
+// missing values are reported as '-'
+function value(v) {
+  return v && v !== '-' ? v : undefined;
+}
+
+function parse(data) {
+  const { location = {} } = data?.report?.currentConditions?.resortLocations ?? {};
+  return {
+    snowfall: value(location.snow48Hours),
+    depth: value(location.baseRange),
+    condition: value(location.primarySurface)
+  };
+}
@@ -0,0 +1,10 @@
+export default parse;
+
+function parse({ snow }) {
+  const { base = {} } = snow ?? {};
+  return {
+    snowfall: base.newSnowLast48H?.value,
+    depth: base.totalSnowDepth?.value,
+    condition: base.snowQuality
+  };
+}
@@ -0,0 +1 @@
+export { trails as default } from '../../tools/vail.js';
@@ -0,0 +1,17 @@
+export default parse;
+
+// range only if both bounds are known
+function range(min, max) {
+  if (min === undefined || max === undefined || min === max) {
+    return max ?? min;
+  }
+  return `${min}-${max}`;
+}
+
+function parse({ Report = {} }) {
+  const { SnowLast48Hours, DepthMin, DepthMax } = Report;
+  return {
+    snowfall: SnowLast48Hours,
+    depth: range(DepthMin, DepthMax)
+  };
+}
@@ -0,0 +1,55 @@
+import { hour } from '../tools/millis.js';
+
+// not enough history to judge resorts with fewer lifts
+const MIN_LIFTS = 4;
+// new status has to have at least half of the lifts
+const MIN_COUNT = 0.5;
+// ...and at least half of the lift names have to be the same
+const MIN_OVERLAP = 0.5;
+// suspicious status that persists for so long is accepted as the new truth
+const QUARANTINE = 6 * hour;
+
+/**
+ * Compares new lift status `curr` with the last good status `prev`.
+ * Returns the reason why the new status looks like a broken parser, or nothing if it looks fine.
+ */
+export function anomaly(prev = {}, curr = {}) {
+  const prevNames = Object.keys(prev);
+  if (prevNames.length < MIN_LIFTS) {
+    return;
+  }
+  const names = Object.keys(curr);
+  if (!names.length) {
+    return 'no lifts found';
+  }
+  if (names.length < MIN_COUNT * prevNames.length) {
+    return `number of lifts dropped from ${prevNames.length} to ${names.length}`;
+  }
+  const overlap = names.filter(name => Object.hasOwn(prev, name)).length;
+  if (overlap < MIN_OVERLAP * prevNames.length) {
+    return `only ${overlap} of ${prevNames.length} lift names found`;
+  }
+  // unknown statuses are coerced to `scheduled`
+  const allScheduled = status => Object.values(status).every(s => s === 'scheduled');
+  if (allScheduled(curr) && !allScheduled(prev)) {
+    return 'all lifts scheduled';
+  }
+}
+
+/**
+ * Checks the new lift status against the last good one.
+ * Returns `suspect` info if the new status should be quarantined: `reason` and `since` when it was first seen.
+ * `previous` is the `suspect` info returned for the last status - suspicious status that persists for longer
+ * than quarantine period is not reported.
+ */
+export default function suspect(previous, prev, curr, now = Date.now()) {
+  const reason = anomaly(prev, curr);
+  if (!reason) {
+    return;
+  }
+  const since = previous?.since ?? now;
+  if (now - since >= QUARANTINE) {
+    return;
+  }
+  return { reason, since, lifts: Object.keys(curr).length };
+}
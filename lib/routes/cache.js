@@ -1,5 +1,7 @@
 import { readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
 import Debug from 'debug';
+import { dumpTimer } from '../metrics.js';
 
 const debug = Debug('liftie:cache');
 
@@ -9,6 +11,7 @@ export default function cache(file) {
   let promiseData;
   let loaded = 0;
   let timeout;
+  let dumping = Promise.resolve(); // dumps are written one at a time
 
   function get(key) {
     if (!loaded) {
@@ -17,6 +20,13 @@ export default function cache(file) {
     return data[key];
   }
 
+  function keys() {
+    if (!loaded) {
+      return [];
+    }
+    return Object.keys(data);
+  }
+
   function set(key, value) {
     if (!loaded) {
       return;
@@ -47,24 +57,44 @@ export default function cache(file) {
     return ++loaded;
   }
 
-  async function dump() {
+  function dump() {
     timeout = undefined;
+    dumping = dumping.then(write);
+    return dumping;
+  }
+
+  async function write() {
     if (loaded < 1) {
       return;
     }
     try {
+      const done = dumpTimer(path.basename(file));
       const str = JSON.stringify(data);
       debug('Writing to %s %s...', fileNew, str.slice(0, 100));
       await writeFile(fileNew, str, { encoding: 'utf8' });
       await rename(fileNew, file);
+      done(Buffer.byteLength(str));
     } catch (e) {
       console.error('Cannot write cache data', e);
     }
   }
 
+  /**
+   * Writes out pending changes without waiting for the timeout, and waits for the dump in progress
+   */
+  async function flush() {
+    if (timeout) {
+      clearTimeout(timeout);
+      dump();
+    }
+    await dumping;
+  }
+
   return {
     get,
     set,
-    load
+    keys,
+    load,
+    flush
   };
 }
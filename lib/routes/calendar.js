@@ -0,0 +1,147 @@
+import Debug from 'debug';
+import { SITE_URL } from '../env.js';
+import { seasons } from '../season.js';
+import store from './store.js';
+
+const debug = Debug('liftie:calendar');
+
+const PRODID = '-//Liftie//Resort Calendar//EN';
+
+// maximum length of the content line in octets
+const LINE_LENGTH = 75;
+
+function escapeText(str) {
+  return str.replace(/[\\;,]/g, c => `\\${c}`).replace(/\n/g, '\\n');
+}
+
+// long lines are split into lines starting with a space - without breaking multi-octet characters
+function fold(line) {
+  const lines = [];
+  let current = '';
+  let length = 0;
+  for (const c of line) {
+    const size = Buffer.byteLength(c);
+    if (length + size > LINE_LENGTH) {
+      lines.push(current);
+      current = ' ';
+      length = 1;
+    }
+    current += c;
+    length += size;
+  }
+  lines.push(current);
+  return lines.join('\r\n');
+}
+
+// YYYY-MM-DD -> YYYYMMDD
+function formatDate(date) {
+  return date.replaceAll('-', '');
+}
+
+function nextDay(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day + 1));
+  return d.toISOString().slice(0, 10);
+}
+
+// millis -> YYYYMMDDTHHMMSSZ
+function formatTimestamp(millis) {
+  return `${new Date(millis).toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+}
+
+function event({ id, name }, type, date, season) {
+  return {
+    // stable for the season even if the date changes
+    uid: `${id}-${type}-${season}@liftie.info`,
+    date,
+    summary: type === 'opening' ? `${name} opens` : `${name} closes for the season`,
+    url: `${SITE_URL}/resort/${id}`
+  };
+}
+
+/**
+ * Openings and closings of the current and the next season of the resorts with configured season dates
+ */
+export function events(resorts, now = Date.now()) {
+  return resorts.flatMap(resort =>
+    seasons(resort, now).flatMap(({ name, opening, closing }) =>
+      [event(resort, 'opening', opening, name), closing && event(resort, 'closing', closing, name)].filter(Boolean)
+    )
+  );
+}
+
+/**
+ * Formats events as iCalendar: all day VEVENTs with `sequence` and `modified` time of their last change
+ */
+export function ics(events, title, now = Date.now()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(title)}`
+  ];
+  events.forEach(({ uid, date, summary, url, sequence = 0, modified = now }) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${formatTimestamp(now)}`,
+      `LAST-MODIFIED:${formatTimestamp(modified)}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTART;VALUE=DATE:${formatDate(date)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDay(date))}`,
+      `SUMMARY:${escapeText(summary)}`,
+      `URL:${url}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+/**
+ * Calendar of resort openings and closings - remembers the dates of the events so that
+ * calendar clients are notified (`SEQUENCE` is incremented) when the date changes.
+ */
+export default function calendar(name = 'liftie.calendar') {
+  const db = store(name);
+  let loaded;
+
+  function version({ uid, date }, now) {
+    const known = db.get(uid);
+    if (known?.date === date) {
+      return known;
+    }
+    debug('Event %s moved to %s', uid, date);
+    const updated = {
+      date,
+      sequence: known ? known.sequence + 1 : 0,
+      modified: now
+    };
+    db.set(uid, updated);
+    return updated;
+  }
+
+  function render(resorts, title, now = Date.now()) {
+    return ics(
+      events(resorts, now).map(e => ({ ...e, ...version(e, now) })),
+      title,
+      now
+    );
+  }
+
+  function onload(fn) {
+    if (!loaded) {
+      loaded = db.load();
+    }
+    loaded.then(c => process.nextTick(fn, null, c)).catch(e => process.nextTick(fn, e));
+  }
+
+  return {
+    render,
+    onload,
+    flush: db.flush
+  };
+}
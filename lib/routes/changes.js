@@ -0,0 +1,37 @@
+import _ from 'lodash';
+
+/**
+ * Compares 2 lift status maps.
+ *
+ * Returns `{ name: { from, to } }` for each lift that changed its status,
+ * `from` is missing for new lifts and `to` is missing for lifts that are gone.
+ * Returns nothing if there are no changes.
+ */
+export function liftChanges(prev = {}, curr = {}) {
+  const names = new Set([...Object.keys(prev), ...Object.keys(curr)]);
+  const changed = {};
+  names.forEach(name => {
+    if (prev[name] !== curr[name]) {
+      changed[name] = { from: prev[name], to: curr[name] };
+    }
+  });
+  if (Object.keys(changed).length) {
+    return changed;
+  }
+}
+
+/**
+ * Calculates what changed in plugin data.
+ *
+ * Lifts report the list of changed lifts with the new stats,
+ * other plugins report their data in full.
+ */
+export default function changes(plugin, prev, curr) {
+  if (plugin === 'lifts') {
+    const changed = liftChanges(prev?.status, curr?.status);
+    return changed && { changed, stats: curr.stats };
+  }
+  if (!_.isEqual(prev, curr)) {
+    return { data: curr ?? null };
+  }
+}
@@ -1,10 +1,26 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+import { callbackify } from 'node:util';
 import Debug from 'debug';
 import checkNames from '../checker.js';
+import { LIFTIE_FETCH_CONCURRENCY, LIFTIE_HOST_CONCURRENCY, LIFTIE_HOST_SPACING } from '../env.js';
+import { hours } from '../hours.js';
 import { summary } from '../lifts/stats.js';
 import * as loaders from '../loaders.js';
+import { fetchQueue, fetchTimer, withUpstream } from '../metrics.js';
 import * as plugins from '../plugins.js';
+import { minute, second } from '../tools/millis.js';
+import suspect from './anomaly.js';
+import calendar from './calendar.js';
+import changes from './changes.js';
 import database from './database.js';
+import failure from './failures.js';
+import health from './health.js';
+import history from './history.js';
+import pollInterval from './interval.js';
+import scheduler from './scheduler.js';
+import search, { index } from './search.js';
 import tags from './tags.js';
+import webhooks from './webhooks.js';
 
 const debug = Debug('liftie:data');
 
@@ -14,23 +30,94 @@ export default function data() {
     cache = {};
 
   const db = database(cache);
+  const hist = history();
+  const cal = calendar();
+  const hooks = webhooks();
+  const listeners = new Set();
+  const queue = scheduler({
+    concurrency: Number(LIFTIE_FETCH_CONCURRENCY),
+    hostConcurrency: Number(LIFTIE_HOST_CONCURRENCY),
+    spacing: Number(LIFTIE_HOST_SPACING)
+  });
   const my = {};
 
+  // plugin interval adjusted to the season and local time of the resort
+  function currentInterval(fetch, meta, data, now = Date.now()) {
+    return pollInterval(fetch.interval, { season: data.season, hours: hours(meta, now) });
+  }
+
   function fetchStatus(plugin, fetch, meta, data) {
-    debug('Fetch: %s for %s', plugin, meta.id);
+    debug('Queue: %s for %s', plugin, meta.id);
     meta.fetchInProgress[plugin] = true;
-    fetch(meta, (err, response) => {
+    queue.push(fetch.host?.(meta), fetchNow, () => (meta.fetchInProgress[plugin] = false));
+
+    function fetchNow(release) {
+      debug('Fetch: %s for %s', plugin, meta.id);
+      const done = fetchTimer(plugin, meta.id);
+      withUpstream(plugin, meta.id, () =>
+        fetch(meta, (err, response) => {
+          done(err);
+          release();
+          onFetched(err, response);
+        })
+      );
+    }
+
+    function onFetched(err, response) {
       meta.fetchInProgress[plugin] = false;
       meta.counter = 0;
+      if (err?.fetchLater) {
+        // rate limited - not a failure, just try again later
+        debug('Fetch later: %s for %s', plugin, meta.id);
+        return;
+      }
       if (err) {
         // don't update data on error
         console.error('Errors when fetching %s status for:', plugin, data.id, err);
+        data.errors ??= {};
+        data.errors[plugin] = failure(data.errors[plugin], err, fetch.interval.active);
         return;
       }
+      if (data.errors) {
+        delete data.errors[plugin];
+        if (!Object.keys(data.errors).length) {
+          delete data.errors;
+        }
+      }
+      if (plugin === 'lifts') {
+        const quarantined = suspect(data.lifts?.suspect, data.lifts?.status, response.status);
+        if (quarantined) {
+          // keep the last good status until the new one is confirmed
+          console.error('Suspicious lift status for %s: %s', meta.id, quarantined.reason);
+          data.lifts = { ...data.lifts, suspect: quarantined };
+          data.timestamp[plugin] = Date.now();
+          db.write(meta.id);
+          return;
+        }
+      }
+      const changed = changes(plugin, data[plugin], response);
       data.timestamp[plugin] = Date.now();
       data[plugin] = response;
       db.write(meta.id);
-    });
+      if (plugin === 'lifts') {
+        hist.record(meta.id, response.status, data.timestamp[plugin], currentInterval(fetch, meta, data).inactive);
+        if (changed) {
+          hooks.deliver(data, data.timestamp[plugin], changed.changed);
+        }
+      }
+      if (changed) {
+        notify(meta.id, { [plugin]: changed });
+      }
+    }
+  }
+
+  function notify(id, changes) {
+    const change = {
+      id,
+      timestamp: cache[id].data.timestamp,
+      changes
+    };
+    listeners.forEach(({ ids, fn }) => ids.includes(id) && fn(change));
   }
 
   function fetchStatusAll() {
@@ -41,6 +128,7 @@ export default function data() {
       const meta = resort.meta;
       plugins.forEach((plugin, fetch) => {
         const sinceLastFetch = now - data.timestamp[plugin];
+        const interval = currentInterval(fetch, meta, data, now);
         let fetchNow = false;
         if (meta.no?.[plugin]) {
           // skip fetching if plugin declared as disabled
@@ -50,12 +138,16 @@ export default function data() {
           debug('Fetch in progress: %s for %s', plugin, id);
           return;
         }
+        if (now < data.errors?.[plugin]?.retry) {
+          debug('Backing off after failures: %s for %s', plugin, id);
+          return;
+        }
         // fetch only if it's been really long time, or if it was sufficienly long time and
         // someone is interested in the latest status
-        if (sinceLastFetch > fetch.interval.inactive) {
+        if (sinceLastFetch > interval.inactive) {
           debug('Inactive timeout elapsed: %s - %s', plugin, id);
           fetchNow = true;
-        } else if (resort.meta.counter > 0 && sinceLastFetch > fetch.interval.active) {
+        } else if ((meta.counter > 0 || meta.listeners > 0) && sinceLastFetch > interval.active) {
           debug('Active timeout elapsed: %s - %s', plugin, id);
           fetchNow = true;
         }
@@ -64,6 +156,7 @@ export default function data() {
         }
       });
     });
+    fetchQueue(queue.stats());
   }
 
   function initCache(resorts) {
@@ -80,6 +173,7 @@ export default function data() {
       };
 
       info.meta.counter = 0;
+      info.meta.listeners = 0;
       info.meta.id = id;
       info.meta.fetchInProgress = {};
       info.data.timestamp = {};
@@ -96,20 +190,23 @@ export default function data() {
       debug('Found %d resorts in cache', count);
       Object.keys(cache).forEach(db.read);
       fetchStatusAll();
-      setInterval(fetchStatusAll, 10 * 1000); // wake 6 times per minute
+      my.interval = setInterval(fetchStatusAll, 10 * 1000); // wake 6 times per minute
       fn();
     });
   }
 
   function getData(requestedNames, fn) {
     const names = checkNames(requestedNames, cache, my.names);
+    const now = Date.now();
     const result = names.map(id => {
       const resort = cache[id];
       if (requestedNames) {
         // only increment counter if resort specifically requested
         resort.meta.counter += 1;
       }
-      return resort.data;
+      // local time changes all the time - calculate it when needed instead of storing it
+      const h = hours(resort.meta, now);
+      return h ? { ...resort.data, hours: h } : resort.data;
     });
     process.nextTick(() => {
       fn(null, result);
@@ -130,6 +227,83 @@ export default function data() {
     });
   }
 
+  function getHistory(id, from, to, fn) {
+    const resort = cache[id];
+    const result = resort && {
+      id,
+      from,
+      to,
+      lifts: hist.get(id, from, to)
+    };
+    process.nextTick(() => {
+      fn(null, result);
+    });
+  }
+
+  /**
+   * Calls `fn` with changes of the requested resorts whenever their data is updated.
+   * Subscribed resorts are considered active for as long as someone is listening.
+   * Returns a function that cancels subscription, or nothing if none of the requested resorts is valid.
+   */
+  function subscribe(requestedNames, fn) {
+    if (!requestedNames) {
+      return;
+    }
+    const ids = checkNames(requestedNames, cache);
+    if (!ids.length) {
+      return;
+    }
+    const listener = { ids, fn };
+    listeners.add(listener);
+    ids.forEach(id => (cache[id].meta.listeners += 1));
+    return function unsubscribe() {
+      if (listeners.delete(listener)) {
+        ids.forEach(id => (cache[id].meta.listeners -= 1));
+      }
+    };
+  }
+
+  function getHealth() {
+    const report = health(cache);
+    report.summary.queue = queue.stats();
+    return report;
+  }
+
+  /**
+   * Finds resorts matching `query` - `starred` resorts first.
+   * Search index is rebuilt at most once a minute to pick up new lift names.
+   */
+  function getSearch(query, starred) {
+    const now = Date.now();
+    if (!(now - my.search?.timestamp < minute)) {
+      const resorts = my.names.map(id => {
+        const { meta, data } = cache[id];
+        return {
+          id,
+          name: meta.name,
+          tags: meta.tags,
+          lifts: Object.keys(data.lifts?.status ?? {})
+        };
+      });
+      my.search = { timestamp: now, index: index(resorts) };
+    }
+    return search(my.search.index, query, starred);
+  }
+
+  /**
+   * iCalendar with opening and closing dates of the requested resorts
+   */
+  function getCalendar(requestedNames, title, fn) {
+    const names = checkNames(requestedNames, cache, my.names);
+    const result = cal.render(
+      names.map(id => cache[id].meta),
+      title
+    );
+    process.nextTick(() => {
+      fn(null, result);
+    });
+  }
+
   function getTags() {
     return my.tags;
   }
@@ -159,17 +333,47 @@ export default function data() {
       my.tags = tags(data);
       my.all = Object.keys(cache);
       my.names = my.all.filter(id => !data[id].no?.lifts);
-      prefetch(fn);
+      // history, webhooks and calendar need to be ready before the first fetch
+      hist.onload(() => hooks.onload(() => cal.onload(() => prefetch(fn))));
     });
   }
 
+  function fetchInProgress() {
+    return Object.values(cache).some(({ meta }) => Object.values(meta.fetchInProgress).some(Boolean));
+  }
+
+  /**
+   * Stops fetching, waits (not longer than `timeout`) for fetches in progress,
+   * and writes out cached data.
+   */
+  async function close(timeout = 10 * second) {
+    clearInterval(my.interval);
+    my.interval = undefined;
+    queue.clear();
+    const until = Date.now() + timeout;
+    while (fetchInProgress() && Date.now() < until) {
+      await sleep(100);
+    }
+    if (fetchInProgress()) {
+      console.error('Fetches still in progress after %d ms', timeout);
+    }
+    await Promise.all([db.flush(), hist.flush(), cal.flush(), hooks.flush()]);
+  }
+
   return {
     init,
+    close: callbackify(close),
     all: getAll,
     tags: getTags,
     get: getData,
     meta: getMeta,
+    history: getHistory,
+    calendar: getCalendar,
+    subscribe,
+    webhooks: hooks,
+    health: getHealth,
     filtered: getFiltered,
+    search: getSearch,
     stats: getStats
   };
 }
@@ -1,13 +1,9 @@
-import path from 'node:path';
-import { LOG_DIR } from '../env.js';
 import * as plugins from '../plugins.js';
-import dbCache from './cache.js';
-
-const dbFileName = path.resolve(LOG_DIR, 'liftie.db.json');
+import store from './store.js';
 
 // persistent storage status for each resort
 export default function database(cache) {
-  const db = dbCache(dbFileName);
+  const db = store('liftie.db');
   let loaded;
 
   function write(id) {
@@ -49,6 +45,7 @@ export default function database(cache) {
   return {
     write,
     read,
-    onload
+    onload,
+    flush: db.flush
   };
 }
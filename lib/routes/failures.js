@@ -0,0 +1,34 @@
+import { hour } from '../tools/millis.js';
+
+const MAX_BACKOFF = 4 * hour;
+
+function message(err) {
+  if (err instanceof Error) {
+    return err.message;
+  }
+  if (typeof err === 'object') {
+    return JSON.stringify(err);
+  }
+  return String(err);
+}
+
+/**
+ * Exponential backoff: doubles `interval` with each consecutive failure
+ */
+export function backoff(count, interval) {
+  return Math.min(interval * 2 ** (count - 1), MAX_BACKOFF);
+}
+
+/**
+ * Records failed fetch: increments consecutive failures counter
+ * and calculates when it's OK to retry
+ */
+export default function failure(previous, err, interval, now = Date.now()) {
+  const count = (previous?.count ?? 0) + 1;
+  return {
+    count,
+    message: message(err),
+    timestamp: now,
+    retry: now + backoff(count, interval)
+  };
+}
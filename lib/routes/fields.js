@@ -0,0 +1,43 @@
+/**
+ * Converts comma separated list of fields into paths: `lifts.stats,name` -> [['lifts', 'stats'], ['name']]
+ */
+export function parseFields(fields) {
+  if (!fields) {
+    return;
+  }
+  return fields
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean)
+    .map(field => field.split('.'));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function pick(from, to, [name, ...rest]) {
+  if (!Object.hasOwn(from, name)) {
+    return;
+  }
+  const value = from[name];
+  if (!rest.length) {
+    to[name] = value;
+  } else if (isObject(value)) {
+    to[name] ??= {};
+    pick(value, to[name], rest);
+  }
+}
+
+/**
+ * Selects only requested `fields` of the resort data - resort `id` is always included.
+ * Returns resort unchanged if no fields are requested.
+ */
+export default function select(resort, fields) {
+  if (!fields) {
+    return resort;
+  }
+  const result = { id: resort.id };
+  fields.forEach(path => pick(resort, result, path));
+  return result;
+}
@@ -0,0 +1,80 @@
+// mean Earth radius in km
+const EARTH_RADIUS = 6371;
+
+const toRadians = deg => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance in km between two [lon, lat] points
+ */
+export function distance([lon1, lat1], [lon2, lat2]) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Converts `lon,lat` string into [lon, lat] - returns nothing if it's not a valid location
+ */
+export function parseLL(str) {
+  // empty coordinates are not 0
+  const ll = str?.split(',').map(s => (s.trim() === '' ? Number.NaN : Number(s)));
+  if (ll?.length !== 2 || ll.some(Number.isNaN)) {
+    return;
+  }
+  const [lon, lat] = ll;
+  if (Math.abs(lon) <= 180 && Math.abs(lat) <= 90) {
+    return ll;
+  }
+}
+
+function located(resorts) {
+  return resorts.filter(resort => resort.ll?.length === 2);
+}
+
+/**
+ * GeoJSON FeatureCollection of resorts with the current lift stats as properties
+ */
+export function geojson(resorts) {
+  return {
+    type: 'FeatureCollection',
+    features: located(resorts).map(({ id, name, ll, lifts }) => {
+      const stats = lifts?.stats;
+      return {
+        type: 'Feature',
+        id,
+        geometry: {
+          type: 'Point',
+          coordinates: ll
+        },
+        properties: {
+          id,
+          name,
+          ...(stats && {
+            open: stats.open,
+            hold: stats.hold,
+            scheduled: stats.scheduled,
+            closed: stats.closed,
+            percentOpen: stats.percentage.open
+          })
+        }
+      };
+    })
+  };
+}
+
+/**
+ * Resorts not further than `radius` km from `ll` sorted by distance
+ */
+export function near(resorts, ll, radius) {
+  return located(resorts)
+    .map(({ id, name, ll: resortLL, lifts }) => ({
+      id,
+      name,
+      ll: resortLL,
+      distance: Math.round(distance(ll, resortLL) * 10) / 10,
+      percentOpen: lifts?.stats?.percentage.open
+    }))
+    .filter(resort => resort.distance <= radius)
+    .sort((a, b) => a.distance - b.distance);
+}
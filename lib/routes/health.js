@@ -0,0 +1,84 @@
+import { hours } from '../hours.js';
+import * as plugins from '../plugins.js';
+import pollInterval from './interval.js';
+
+// data is stale if it has not been refreshed for twice the inactive interval
+const STALE_FACTOR = 2;
+
+function pluginHealth({ meta, data }, plugin, fetch, now) {
+  const interval = pollInterval(fetch.interval, { season: data.season, hours: hours(meta, now) });
+  const timestamp = data.timestamp[plugin];
+  const error = data.errors?.[plugin];
+  const result = {
+    timestamp,
+    fetchInProgress: meta.fetchInProgress[plugin],
+    errors: error?.count ?? 0,
+    // plugins that are not fetched for inactive resorts are never stale
+    stale: Number.isFinite(interval.inactive) && now - timestamp > STALE_FACTOR * interval.inactive
+  };
+  if (error) {
+    result.error = error.message;
+    result.retry = error.retry;
+  }
+  if (data[plugin]?.suspect) {
+    result.suspect = data[plugin].suspect.reason;
+  }
+  return result;
+}
+
+function resortHealth(resort, now) {
+  const { meta } = resort;
+  const result = {
+    id: meta.id,
+    name: meta.name,
+    plugins: {}
+  };
+  plugins.forEach((plugin, fetch) => {
+    if (meta.no?.[plugin]) {
+      return;
+    }
+    result.plugins[plugin] = pluginHealth(resort, plugin, fetch, now);
+  });
+  const states = Object.values(result.plugins);
+  result.stale = states.some(p => p.stale);
+  result.failing = states.some(p => p.errors > 0);
+  result.suspect = states.some(p => p.suspect);
+  return result;
+}
+
+function summarize(resorts) {
+  const summary = {
+    resorts: resorts.length,
+    stale: resorts.filter(r => r.stale).length,
+    failing: resorts.filter(r => r.failing).length,
+    suspect: resorts.filter(r => r.suspect).length,
+    plugins: {}
+  };
+  resorts.forEach(({ plugins }) => {
+    Object.entries(plugins).forEach(([plugin, p]) => {
+      const s = (summary.plugins[plugin] ??= { resorts: 0, stale: 0, failing: 0, suspect: 0, fetchInProgress: 0 });
+      s.resorts += 1;
+      s.stale += p.stale ? 1 : 0;
+      s.failing += p.errors > 0 ? 1 : 0;
+      s.suspect += p.suspect ? 1 : 0;
+      s.fetchInProgress += p.fetchInProgress ? 1 : 0;
+    });
+  });
+  summary.status = summary.stale || summary.failing || summary.suspect ? 'degraded' : 'ok';
+  return summary;
+}
+
+/**
+ * Reports freshness and failures of each plugin for all resorts in the cache.
+ * Resorts with problems are listed first.
+ */
+export default function health(cache, now = Date.now()) {
+  const resorts = Object.values(cache)
+    .map(resort => resortHealth(resort, now))
+    .sort((a, b) => b.failing - a.failing || b.stale - a.stale || b.suspect - a.suspect || a.id.localeCompare(b.id));
+  return {
+    timestamp: now,
+    summary: summarize(resorts),
+    resorts
+  };
+}
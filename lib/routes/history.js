@@ -0,0 +1,124 @@
+import Debug from 'debug';
+import { LIFTIE_HISTORY_DAYS } from '../env.js';
+import { day, hour } from '../tools/millis.js';
+import store from './store.js';
+
+const debug = Debug('liftie:history');
+
+const retention = LIFTIE_HISTORY_DAYS * day;
+// fetches may come later than the poll interval - when the queue is busy or upstream is slow
+const SLACK = hour;
+// how often intervals older than retention are removed from all resorts
+const PRUNE_INTERVAL = hour;
+
+/**
+ * Appends lift statuses fetched at `timestamp` to the `lifts` intervals.
+ *
+ * Consecutive fetches with the same status are merged into a single interval unless they are more than `maxGap` apart:
+ * if we have not heard about the lift for that long we do not assume it kept its status.
+ * Intervals that ended before `timestamp - retention` are removed.
+ */
+export function append(lifts, status, timestamp, maxGap = SLACK, keep = retention) {
+  lifts ??= {};
+  Object.entries(status).forEach(([name, s]) => {
+    const intervals = (lifts[name] ??= []);
+    const last = intervals.at(-1);
+    if (last && last.status === s && timestamp - last.to <= maxGap) {
+      last.to = timestamp;
+    } else {
+      intervals.push({ status: s, from: timestamp, to: timestamp });
+    }
+  });
+  return compact(lifts, timestamp - keep);
+}
+
+function size(lifts) {
+  return Object.values(lifts).reduce((sum, intervals) => sum + intervals.length, 0);
+}
+
+/**
+ * Removes intervals that ended before `since` and lifts without any intervals
+ */
+export function compact(lifts, since) {
+  Object.entries(lifts).forEach(([name, intervals]) => {
+    const first = intervals.findIndex(({ to }) => to >= since);
+    if (first < 0) {
+      delete lifts[name];
+    } else if (first > 0) {
+      lifts[name] = intervals.slice(first);
+    }
+  });
+  return lifts;
+}
+
+/**
+ * Returns intervals overlapping `from` - `to` range, clipped to that range
+ */
+export function intervals(lifts, from, to) {
+  if (!lifts) {
+    return {};
+  }
+  return Object.entries(lifts).reduce((memo, [name, intervals]) => {
+    const selected = intervals
+      .filter(i => i.to >= from && i.from <= to)
+      .map(({ status, from: f, to: t }) => ({
+        status,
+        from: Math.max(f, from),
+        to: Math.min(t, to)
+      }));
+    if (selected.length) {
+      memo[name] = selected;
+    }
+    return memo;
+  }, {});
+}
+
+// time series of lift status for each resort
+export default function history(name = 'liftie.history') {
+  // each fetch changes the whole retained history of the resort - too much to append to the log every time
+  const db = store(name, 'json');
+  let loaded;
+
+  /**
+   * Records lift `status` fetched at `timestamp` - `interval` is how often the status is fetched now
+   */
+  function record(id, status, timestamp, interval = 0) {
+    debug('Recording lift status for %s', id);
+    db.set(id, append(db.get(id), status, timestamp, interval + SLACK));
+  }
+
+  // removes old intervals of all resorts - including those that are not fetched anymore
+  function prune(now = Date.now()) {
+    db.keys().forEach(id => {
+      const lifts = db.get(id);
+      const before = size(lifts);
+      if (size(compact(lifts, now - retention)) !== before) {
+        debug('Pruned lift status history for %s', id);
+        db.set(id, lifts);
+      }
+    });
+  }
+
+  function get(id, from, to) {
+    return intervals(db.get(id), from, to);
+  }
+
+  function onload(fn) {
+    if (!loaded) {
+      loaded = db.load().then(c => {
+        prune();
+        setInterval(prune, PRUNE_INTERVAL).unref();
+        return c;
+      });
+    }
+    loaded.then(c => process.nextTick(fn, null, c)).catch(e => process.nextTick(fn, e));
+  }
+
+  return {
+    record,
+    prune,
+    get,
+    onload,
+    flush: db.flush
+  };
+}
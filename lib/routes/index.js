@@ -1,11 +1,22 @@
 import querystring from 'node:querystring';
 import Router from '@pirxpilot/router';
 import parseurl from 'parseurl';
+import { LIFTIE_MAP_ATTRIBUTION, LIFTIE_MAP_TILES } from '../env.js';
+import { describe as describeLift } from '../lifts/catalog.js';
+import { render as renderMetrics } from '../metrics.js';
+import { day, minute } from '../tools/millis.js';
 import canonical from './canonical.js';
+import select, { parseFields } from './fields.js';
+import { geojson, near, parseLL } from './geo.js';
 import headers from './headers.js';
 import plan from './plan.js';
 import serviceWorker from './service-worker.js';
 import sorter from './sorter.js';
+import stream from './stream.js';
+import * as subscriptions from './subscriptions.js';
+
+// km - default radius of nearby resorts search
+const DEFAULT_RADIUS = 100;
 
 function title(suffix) {
   let t = 'Liftie';
@@ -34,6 +45,7 @@ function renderResorts(req, res, next) {
       items = sorter(items, req.cookies);
     }
     res.locals.addToTrip = plan;
+    res.locals.describeLift = describeLift;
 
     res.render(template, {
       title: title(res.locals.title),
@@ -81,6 +93,8 @@ function widget(req, res, next) {
 function stars(req, res, next) {
   req.requested = req.cookies['resorts-starred'];
   res.locals.title = 'Stars';
+  res.locals.calendarLink = '/stars/calendar.ics';
+  res.locals.mapLink = '/map/stars';
   next();
 }
 
@@ -114,14 +128,19 @@ function absent(req, res, next) {
   next();
 }
 
+// not open yet or closed for the season
+function notOpen(resort) {
+  return resort.opening || resort.season?.state === 'closed';
+}
+
 function confused(req, res, next) {
-  req.requested = req.data.filtered(resort => resort.opening && resort.lifts.stats?.open);
+  req.requested = req.data.filtered(resort => notOpen(resort) && resort.lifts?.stats?.open);
   res.locals.title = 'Confused';
   next();
 }
 
 function closed(req, res, next) {
-  req.requested = req.data.filtered(resort => resort.opening);
+  req.requested = req.data.filtered(notOpen);
   res.locals.title = 'Closed';
   next();
 }
@@ -136,6 +155,103 @@ function stats(req, res) {
   });
 }
 
+/**
+ * Handles
+ *   /map - all resorts
+ *   /map/<tag> - resorts with a tag
+ *   /map/stars - starred resorts
+ */
+function map(req, res) {
+  const t = req.tag;
+  const section = t ? { link: `/tag/${t.slug}`, title: t.label } : (req.section ?? { link: '/', title: 'All Resorts' });
+  res.render('map', {
+    title: title(`${section.title} Map`),
+    sectionLink: section.link,
+    sectionTitle: section.title,
+    ids: req.requested,
+    tiles: LIFTIE_MAP_TILES,
+    attribution: LIFTIE_MAP_ATTRIBUTION
+  });
+}
+
+function mapStars(req, _res, next) {
+  // no stars means no resorts, not all of them
+  req.requested = starred(req);
+  req.section = { link: '/stars', title: 'Stars' };
+  next();
+}
+
+function starred(req) {
+  return req.cookies['resorts-starred']?.split(',').filter(Boolean) ?? [];
+}
+
+/**
+ * Handles /search?q=<query> - displays matching resorts
+ */
+function searchPage(req, res, next) {
+  req.requested = req.data.search(req.query.q, starred(req)).map(({ id }) => id);
+  res.locals.title = 'Search';
+  next();
+}
+
+/**
+ * Handles /api/search?q=<query> - resorts with names, ids, tags or lift names matching the query
+ */
+function apiSearch(req, res) {
+  sendJSON(res, req.data.search(req.query.q, starred(req)));
+}
+
+/**
+ * Handles
+ *   /calendar.ics - all resorts
+ *   /tag/<tag>/calendar.ics - resorts with a tag
+ *   /stars/<key>/calendar.ics - starred resorts encoded in a shareable key
+ */
+function calendar(req, res, next) {
+  const t = req.tag;
+  const section = t ? t.label : (req.section ?? 'All Resorts');
+  req.data.calendar(req.requested, `Liftie: ${section}`, (err, ics) => {
+    if (err) {
+      return next(err);
+    }
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('Content-Type', 'text/calendar;charset=UTF-8');
+    res.end(ics);
+  });
+}
+
+/**
+ * Redirects to calendar of starred resorts - cookies are not sent by calendar clients
+ */
+function starsCalendar(req, res) {
+  const ids = starred(req);
+  if (!ids.length) {
+    return res.writeHead(404, 'No starred resorts').end();
+  }
+  const key = Buffer.from(ids.join(',')).toString('base64url');
+  res.writeHead(302, { location: `/stars/${key}/calendar.ics` }).end();
+}
+
+function starsKey(req, _res, next) {
+  req.requested = Buffer.from(req.params.key, 'base64url').toString().split(',');
+  req.section = 'Stars';
+  next();
+}
+
+// do not cache API responses
+function noCache(res, type = 'application/json') {
+  res.setHeader('Cache-Control', 'no-cache, max-age=0, must-revalidate');
+  res.setHeader('Content-Type', `${type};charset=UTF-8`);
+}
+
+function sendJSON(res, body, type) {
+  noCache(res, type);
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Handles /api/resort/<name>?fields=<field1>,<field2>...
+ */
 function api(req, res, next) {
   req.data.get(req.params.resort, (err, resorts) => {
     if (err) {
@@ -144,13 +260,137 @@ function api(req, res, next) {
     if (resorts.length !== 1) {
       return res.writeHead(404, `Invalid resort name: ${req.params.resort}`).end();
     }
-    // do not cache API responses
-    res.setHeader('Cache-Control', 'no-cache, max-age=0, must-revalidate');
-    res.setHeader('Content-Type', 'application/json;charset=UTF-8');
-    res.end(JSON.stringify(resorts[0]));
+    sendJSON(res, select(resorts[0], parseFields(req.query.fields)));
+  });
+}
+
+/**
+ * Handles
+ *   /api/resorts?ids=<name1>,<name2>... - all resorts if `ids` is not specified
+ *   /api/tag/<tag>
+ *   /api/stars - starred resorts
+ * Responds with array of resorts - `fields` selects the same fields as for a single resort
+ */
+function apiResorts(req, res, next) {
+  req.data.get(req.requested, (err, resorts) => {
+    if (err) {
+      return next(err);
+    }
+    const fields = parseFields(req.query.fields);
+    sendJSON(
+      res,
+      resorts.map(resort => select(resort, fields))
+    );
+  });
+}
+
+function ids(req, _res, next) {
+  req.requested = req.query.ids;
+  next();
+}
+
+function apiStars(req, _res, next) {
+  // no stars means no resorts, not all of them
+  req.requested = starred(req);
+  next();
+}
+
+/**
+ * Handles /api/resorts.geojson?tag=<tag>
+ */
+function apiGeojson(req, res, next) {
+  let requested;
+  if (req.query.tag) {
+    const t = canonical(req.query.tag);
+    requested = req.data.tags()[t]?.members;
+    if (!requested) {
+      return res.writeHead(404, `Invalid tag name: ${req.query.tag}`).end();
+    }
+  }
+  req.data.get(requested, (err, resorts) => {
+    if (err) {
+      return next(err);
+    }
+    sendJSON(res, geojson(resorts), 'application/geo+json');
+  });
+}
+
+/**
+ * Handles /api/near?ll=<lon>,<lat>&radius=<km>
+ */
+function apiNear(req, res, next) {
+  const ll = parseLL(req.query.ll);
+  const radius = req.query.radius ? Number(req.query.radius) : DEFAULT_RADIUS;
+  if (!ll || !(radius > 0)) {
+    return res.writeHead(400, 'Expected ll=<lon>,<lat> and positive radius in km').end();
+  }
+  req.data.get(undefined, (err, resorts) => {
+    if (err) {
+      return next(err);
+    }
+    sendJSON(res, near(resorts, ll, radius));
+  });
+}
+
+function toMillis(str, defaultValue) {
+  if (!str) {
+    return defaultValue;
+  }
+  return /^\d+$/.test(str) ? Number.parseInt(str, 10) : Date.parse(str);
+}
+
+/**
+ * Handles /api/resort/<name>/history?from=<date>&to=<date>
+ * `from` and `to` are either milliseconds since epoch or ISO dates - by default last 24 hours
+ */
+function history(req, res, next) {
+  const to = toMillis(req.query.to, Date.now());
+  const from = toMillis(req.query.from, to - day);
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.writeHead(400, 'Invalid history range').end();
+  }
+  req.data.history(req.params.resort, from, to, (err, history) => {
+    if (err) {
+      return next(err);
+    }
+    if (!history) {
+      return res.writeHead(404, `Invalid resort name: ${req.params.resort}`).end();
+    }
+    sendJSON(res, history);
   });
 }
 
+function apiHealth(req, res) {
+  sendJSON(res, req.data.health());
+}
+
+function ago(timestamp, now) {
+  if (!timestamp) {
+    return 'never';
+  }
+  const minutes = Math.round((now - timestamp) / minute);
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  const hours = Math.round(minutes / 60);
+  return hours < 48 ? `${hours}h` : `${Math.round(hours / 24)}d`;
+}
+
+function health(req, res) {
+  const report = req.data.health();
+  res.render('health', {
+    title: title('Health'),
+    health: report,
+    plugins: Object.keys(report.summary.plugins),
+    ago: timestamp => ago(timestamp, report.timestamp)
+  });
+}
+
+function metrics(_req, res) {
+  noCache(res, 'text/plain; version=0.0.4');
+  res.end(renderMetrics());
+}
+
 function meta(req, res, next) {
   req.data.meta((err, resorts) => {
     if (err) {
@@ -178,7 +418,13 @@ export default function routes(app) {
       t = canonical(t);
       if (tags[t]) {
         // permanent redirect to canonical form of the tag
-        return res.writeHead(301, { location: `/tag/${encodeURIComponent(t)}` }).end();
+        const { pathname, search } = parseurl(req);
+        const canonicalPath = pathname
+          .split('/')
+          .map(s => (decodeURIComponent(s) === req.params.tag ? encodeURIComponent(t) : s))
+          .join('/');
+        // keep the query - e.g. `fields` of the API request
+        return res.writeHead(301, { location: `${canonicalPath}${search ?? ''}` }).end();
       }
       return res.writeHead(404, `Invalid tag name: ${req.params.tag}`).end();
     }
@@ -197,8 +443,22 @@ export default function routes(app) {
   router.get('/widget/resort/:resort', reqData, headers, widget, renderResorts);
   router.get('/tag/:tag', reqData, headers, tag, renderResorts);
   router.get('/stars', reqData, headers, stars, renderResorts);
+  router.get('/search', reqData, headers, searchPage, renderResorts);
   router.get('/api/resort/:resort', reqData, api);
+  router.get('/api/resort/:resort/history', reqData, history);
+  router.get('/api/resorts', reqData, ids, apiResorts);
+  router.get('/api/tag/:tag', reqData, apiResorts);
+  router.get('/api/stars', reqData, apiStars, apiResorts);
+  router.get('/api/resorts.geojson', reqData, apiGeojson);
+  router.get('/api/near', reqData, apiNear);
+  router.get('/api/search', reqData, apiSearch);
   router.get('/api/meta', reqData, meta);
+  router.get('/api/stream', reqData, stream);
+  router.get('/api/health', reqData, apiHealth);
+  router.get('/api/webhooks', subscriptions.authorize, reqData, subscriptions.list);
+  router.post('/api/webhooks', subscriptions.authorize, reqData, subscriptions.create);
+  router.delete('/api/webhooks/:id', subscriptions.authorize, reqData, subscriptions.remove);
+  router.post('/api/webhooks/:id/enable', subscriptions.authorize, reqData, subscriptions.enable);
   router.get('/sitemap.xml', reqData, sitemap);
   router.get('/about', headers, about);
   router.get('/absent', reqData, headers, absent, renderResorts);
@@ -206,7 +466,16 @@ export default function routes(app) {
   router.get('/closed', reqData, headers, closed, renderResorts);
   router.get('/stats/:tag', reqData, headers, stats);
   router.get('/stats', reqData, headers, stats);
+  router.get('/health', reqData, headers, health);
+  router.get('/calendar.ics', reqData, calendar);
+  router.get('/tag/:tag/calendar.ics', reqData, calendar);
+  router.get('/stars/calendar.ics', starsCalendar);
+  router.get('/stars/:key/calendar.ics', reqData, starsKey, calendar);
+  router.get('/map/stars', reqData, headers, mapStars, map);
+  router.get('/map/:tag', reqData, headers, map);
+  router.get('/map', reqData, headers, map);
   router.get('/sw.js', serviceWorker);
+  router.get('/metrics', metrics);
 
   app.use(router);
 }
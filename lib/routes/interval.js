@@ -0,0 +1,39 @@
+import { day } from '../tools/millis.js';
+
+// how often plugins are fetched when resort is closed for the season
+const OFF_SEASON = day;
+
+function atLeast(interval, millis) {
+  return {
+    ...interval,
+    active: Math.max(interval.active, millis),
+    inactive: Math.max(interval.inactive, millis)
+  };
+}
+
+// resorts someone is watching are still polled as often as usual
+function inactiveAtLeast(interval, millis) {
+  return {
+    ...interval,
+    inactive: Math.max(interval.inactive, millis)
+  };
+}
+
+/**
+ * Plugin `interval` adjusted to the resort `season` and its local time of day:
+ * - closed for the season - not more often than `offSeason` (once a day by default)
+ * - near opening time and during operating hours - at least every `daytime` even if no one is looking
+ * - overnight - not more often than `overnight` unless someone is looking
+ */
+export default function pollInterval(interval, { season, hours } = {}) {
+  if (season?.state === 'closed') {
+    return atLeast(interval, interval.offSeason ?? OFF_SEASON);
+  }
+  if (hours?.state === 'closed') {
+    return interval.overnight ? inactiveAtLeast(interval, interval.overnight) : interval;
+  }
+  if (hours && interval.daytime) {
+    return { ...interval, inactive: Math.min(interval.inactive, interval.daytime) };
+  }
+  return interval;
+}
@@ -0,0 +1,172 @@
+import { createWriteStream } from 'node:fs';
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import Debug from 'debug';
+import { dumpTimer } from '../metrics.js';
+import { hour } from '../tools/millis.js';
+
+const debug = Debug('liftie:log');
+
+const COMPACT_INTERVAL = hour;
+
+function entry(key, value) {
+  return `${JSON.stringify([key, value])}\n`;
+}
+
+/**
+ * Parses log lines and applies them to data - later lines win.
+ * Broken lines (e.g. the last line written during a crash) are ignored.
+ */
+export function replay(str, data = {}) {
+  let lines = 0;
+  str.split('\n').forEach(line => {
+    if (!line) {
+      return;
+    }
+    try {
+      const [key, value] = JSON.parse(line);
+      data[key] = value;
+      lines += 1;
+    } catch {
+      debug('Ignoring invalid line: %s', line.slice(0, 100));
+    }
+  });
+  return { data, lines };
+}
+
+// append-only log of key/value changes, periodically compacted to a single entry per key
+export default function log(file) {
+  const fileNew = `${file}.new`;
+  let data;
+  let promiseData;
+  let loaded = 0;
+  let lines = 0; // lines in the log since last compaction
+  let stream;
+  let pending; // lines waiting for compaction to finish
+  let compacting;
+  let interval;
+
+  function get(key) {
+    if (!loaded) {
+      return;
+    }
+    return data[key];
+  }
+
+  function keys() {
+    if (!loaded) {
+      return [];
+    }
+    return Object.keys(data);
+  }
+
+  function append(line) {
+    lines += 1;
+    if (pending) {
+      pending.push(line);
+      return;
+    }
+    stream.write(line);
+  }
+
+  function set(key, value) {
+    if (!loaded) {
+      return;
+    }
+    data[key] = value;
+    append(entry(key, value));
+  }
+
+  function open() {
+    stream = createWriteStream(file, { flags: 'a', encoding: 'utf8' });
+    stream.on('error', e => console.error('Cannot write log data', e));
+  }
+
+  function close() {
+    return new Promise(resolve => stream.end(resolve));
+  }
+
+  async function compact() {
+    if (compacting || lines <= Object.keys(data).length) {
+      // nothing to compact
+      return compacting;
+    }
+    pending = [];
+    compacting = (async () => {
+      try {
+        const done = dumpTimer(path.basename(file));
+        const entries = Object.entries(data);
+        const str = entries.map(([key, value]) => entry(key, value)).join('');
+        const before = lines;
+        debug('Compacting %s: %d lines -> %d', file, lines, entries.length);
+        await writeFile(fileNew, str, { encoding: 'utf8' });
+        await close();
+        await rename(fileNew, file);
+        done(Buffer.byteLength(str));
+        // keep counting lines appended while compacting
+        lines = entries.length + lines - before;
+      } catch (e) {
+        console.error('Cannot compact log data', e);
+      } finally {
+        if (stream.closed || stream.writableEnded) {
+          open();
+        }
+        const lastLines = pending;
+        pending = undefined;
+        compacting = undefined;
+        lastLines.forEach(line => stream.write(line));
+      }
+    })();
+    return compacting;
+  }
+
+  async function load() {
+    async function readData() {
+      try {
+        debug('Replaying %s', file);
+        const str = await readFile(file, { encoding: 'utf8' });
+        const result = replay(str);
+        lines = result.lines;
+        return result.data;
+      } catch (e) {
+        if (e.code !== 'ENOENT') {
+          console.error('Cannot read log data', e);
+        }
+        return {};
+      }
+    }
+
+    if (!promiseData) {
+      promiseData = readData().then(d => {
+        data = d;
+        open();
+        interval = setInterval(compact, COMPACT_INTERVAL);
+        interval.unref();
+        return d;
+      });
+    }
+    data = await promiseData;
+    await compact();
+    return ++loaded;
+  }
+
+  /**
+   * Writes out buffered log lines
+   */
+  async function flush() {
+    if (!loaded) {
+      return;
+    }
+    await compacting;
+    await new Promise(resolve => stream.write('', resolve));
+  }
+
+  return {
+    get,
+    set,
+    keys,
+    load,
+    flush,
+    compact
+  };
+}
@@ -0,0 +1,134 @@
+import Debug from 'debug';
+import { minute, second } from '../tools/millis.js';
+
+const debug = Debug('liftie:scheduler');
+
+/**
+ * Runs queued fetches:
+ * - not more than `concurrency` at the same time,
+ * - not more than `hostConcurrency` for the same upstream host at the same time,
+ * - starting at least `spacing` millis apart for the same host,
+ * - each delayed by a random `jitter` so the fetches due at the same time are spread out.
+ *
+ * Tasks are called with `done` callback - if it's not called within `timeout` the slot is released anyway.
+ */
+export default function scheduler({
+  concurrency = 8,
+  hostConcurrency = 2,
+  spacing = second,
+  jitter = 10 * second,
+  timeout = 2 * minute
+} = {}) {
+  const queue = [];
+  const hosts = new Map();
+  let running = 0;
+  let timer;
+
+  function hostState(host) {
+    let state = hosts.get(host);
+    if (!state) {
+      state = { running: 0, last: 0 };
+      hosts.set(host, state);
+    }
+    return state;
+  }
+
+  // when the item can be started if there are free slots
+  function readyAt({ host, ready }) {
+    if (!host) {
+      return ready;
+    }
+    const { running, last } = hostState(host);
+    if (running >= hostConcurrency) {
+      return Number.POSITIVE_INFINITY;
+    }
+    return Math.max(ready, last + spacing);
+  }
+
+  function start(item, now) {
+    const state = item.host && hostState(item.host);
+    let finished = false;
+
+    function done() {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      clearTimeout(watchdog);
+      running -= 1;
+      if (state) {
+        state.running -= 1;
+      }
+      run();
+    }
+
+    const watchdog = setTimeout(() => {
+      debug('Task for %s timed out', item.host);
+      done();
+    }, timeout);
+    watchdog.unref();
+
+    running += 1;
+    if (state) {
+      state.running += 1;
+      state.last = now;
+    }
+    item.task(done);
+  }
+
+  function run() {
+    clearTimeout(timer);
+    timer = undefined;
+    const now = Date.now();
+    let next = Number.POSITIVE_INFINITY;
+    for (let i = 0; i < queue.length && running < concurrency; ) {
+      const at = readyAt(queue[i]);
+      if (at <= now) {
+        const [item] = queue.splice(i, 1);
+        start(item, now);
+      } else {
+        next = Math.min(next, at);
+        i += 1;
+      }
+    }
+    if (queue.length && running < concurrency && Number.isFinite(next)) {
+      // wake up when the next item is ready
+      timer = setTimeout(run, next - now);
+    }
+  }
+
+  /**
+   * Queues the task: `task(done)` for `host` - `cancel()` is called if the task is dropped from the queue
+   */
+  function push(host, task, cancel) {
+    queue.push({
+      host,
+      task,
+      cancel,
+      ready: Date.now() + Math.random() * jitter
+    });
+    run();
+  }
+
+  /**
+   * Drops all queued tasks
+   */
+  function clear() {
+    clearTimeout(timer);
+    timer = undefined;
+    queue.splice(0).forEach(({ cancel }) => cancel?.());
+  }
+
+  function stats() {
+    return {
+      queued: queue.length,
+      running
+    };
+  }
+
+  return {
+    push,
+    clear,
+    stats
+  };
+}
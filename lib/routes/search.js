@@ -0,0 +1,99 @@
+// how well the query term matches resort fields - better matches first
+const WEIGHTS = {
+  name: 4,
+  id: 3,
+  tag: 2,
+  lift: 1
+};
+
+const MAX_RESULTS = 10;
+
+/**
+ * Lower case without accents and other diacritics: 'Val d'Isère' -> 'val d'isere'
+ */
+export function fold(str) {
+  return str
+    .normalize('NFD')
+    .replace(/\p{Diacritic}/gu, '')
+    .toLowerCase();
+}
+
+function terms(query) {
+  return fold(query)
+    .split(/[\s,]+/)
+    .filter(Boolean);
+}
+
+// matches at the beginning of the string are the best, then at the beginning of the word
+function matchWord(str, term) {
+  const i = str.indexOf(term);
+  if (i < 0) {
+    return 0;
+  }
+  if (i === 0) {
+    return 3;
+  }
+  return /[\p{L}\p{N}]/u.test(str[i - 1]) ? 1 : 2;
+}
+
+/**
+ * Prepares resorts for searching: `id`, `name`, `tags` and `lifts` names
+ */
+export function index(resorts) {
+  return resorts.map(({ id, name, tags = [], lifts = [] }) => ({
+    id,
+    name,
+    fields: {
+      name: [fold(name)],
+      id: [id],
+      tag: tags.map(fold),
+      lift: lifts.map(fold)
+    },
+    lifts
+  }));
+}
+
+function score({ fields, lifts }, term) {
+  let best = 0;
+  let lift;
+  Object.entries(fields).forEach(([field, values]) =>
+    values.forEach((value, i) => {
+      const s = WEIGHTS[field] * matchWord(value, term);
+      if (s > best) {
+        best = s;
+        lift = field === 'lift' ? lifts[i] : undefined;
+      }
+    })
+  );
+  return { score: best, lift };
+}
+
+/**
+ * Finds resorts matching all terms of the `query` in their names, ids, tags or lift names.
+ * Starred resorts come first, then the resorts with better matches.
+ * Each result has resort `id` and `name` - and `lift` name if that's what matched.
+ */
+export default function search(indexed, query, starred = [], limit = MAX_RESULTS) {
+  const ts = terms(query ?? '');
+  if (!ts.length) {
+    return [];
+  }
+  return indexed
+    .map(resort => {
+      const matches = ts.map(term => score(resort, term));
+      if (matches.some(m => !m.score)) {
+        return;
+      }
+      return {
+        id: resort.id,
+        name: resort.name,
+        lift: matches.find(m => m.lift)?.lift,
+        starred: starred.includes(resort.id),
+        score: matches.reduce((sum, m) => sum + m.score, 0)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.starred - a.starred || b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ id, name, lift }) => (lift ? { id, name, lift } : { id, name }));
+}
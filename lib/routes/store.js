@@ -0,0 +1,24 @@
+import path from 'node:path';
+import { LIFTIE_STORE, LOG_DIR } from '../env.js';
+import cache from './cache.js';
+import log from './log.js';
+
+const stores = {
+  // JSON file rewritten every minute if there are changes
+  json: name => cache(path.resolve(LOG_DIR, `${name}.json`)),
+  // append-only log of changes replayed on startup and periodically compacted
+  log: name => log(path.resolve(LOG_DIR, `${name}.jsonl`))
+};
+
+/**
+ * Creates key/value store of `type`: selected by LIFTIE_STORE - `json` (default) or `log`
+ *
+ * Stores provide: `load()`, `get(key)`, `set(key, value)`, `keys()` and `flush()`
+ */
+export default function store(name, type = LIFTIE_STORE) {
+  const create = stores[type];
+  if (!create) {
+    throw new Error(`Unknown LIFTIE_STORE: ${type}`);
+  }
+  return create(name);
+}
@@ -0,0 +1,31 @@
+import { second } from '../tools/millis.js';
+
+const HEARTBEAT = 30 * second; // keep proxies from closing idle connection
+const RETRY = 10 * second;
+
+/**
+ * Handles /api/stream?resorts=<name1>,<name2>...
+ * Server-Sent Events stream with the changes of the requested resorts
+ */
+export default function stream(req, res) {
+  const unsubscribe = req.data.subscribe(req.query.resorts, send);
+  if (!unsubscribe) {
+    return res.writeHead(404, `Invalid resort names: ${req.query.resorts}`).end();
+  }
+  res.writeHead(200, {
+    'Cache-Control': 'no-cache, max-age=0',
+    'Content-Type': 'text/event-stream;charset=UTF-8',
+    'X-Accel-Buffering': 'no' // disable nginx buffering
+  });
+  res.write(`retry: ${RETRY}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(':\n\n'), HEARTBEAT);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  function send(change) {
+    res.write(`data: ${JSON.stringify(change)}\n\n`);
+  }
+}
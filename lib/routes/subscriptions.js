@@ -0,0 +1,136 @@
+import crypto from 'node:crypto';
+import { LIFTIE_ADMIN_TOKEN } from '../env.js';
+
+const MAX_BODY = 16 * 1024;
+const states = ['open', 'hold', 'scheduled', 'closed'];
+
+function sendJSON(res, status, obj) {
+  res.setHeader('Cache-Control', 'no-cache, max-age=0, must-revalidate');
+  res.setHeader('Content-Type', 'application/json;charset=UTF-8');
+  res.writeHead(status).end(JSON.stringify(obj));
+}
+
+// secret is only revealed when subscription is created
+function hideSecret({ secret, ...subscription }) {
+  return subscription;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    req.on('data', chunk => {
+      length += chunk.length;
+      if (length > MAX_BODY) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (e) {
+        reject(e);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function isStringArray(arr) {
+  return arr === undefined || (Array.isArray(arr) && arr.every(item => typeof item === 'string'));
+}
+
+function validate({ url, resort, lifts, states: targetStates }, resorts) {
+  try {
+    const { protocol } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      return 'Invalid url';
+    }
+  } catch {
+    return 'Invalid url';
+  }
+  if (!resorts.includes(resort)) {
+    return `Invalid resort name: ${resort}`;
+  }
+  if (!isStringArray(lifts)) {
+    return 'Invalid lifts';
+  }
+  if (!isStringArray(targetStates) || targetStates?.some(s => !states.includes(s))) {
+    return 'Invalid states';
+  }
+}
+
+/**
+ * Webhooks can only be managed if LIFTIE_ADMIN_TOKEN is configured
+ * and passed as `Authorization: Bearer <token>` header.
+ */
+export function authorize(req, res, next) {
+  if (!LIFTIE_ADMIN_TOKEN) {
+    return res.writeHead(404).end();
+  }
+  const token = Buffer.from(req.headers.authorization?.replace(/^Bearer\s+/i, '') ?? '');
+  const expected = Buffer.from(LIFTIE_ADMIN_TOKEN);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.writeHead(401, { 'WWW-Authenticate': 'Bearer' }).end();
+  }
+  next();
+}
+
+/**
+ * Handles GET /api/webhooks
+ */
+export function list(req, res) {
+  sendJSON(res, 200, req.data.webhooks.list().map(hideSecret));
+}
+
+/**
+ * Handles POST /api/webhooks with `{ url, resort, lifts, states }` JSON body
+ */
+export async function create(req, res, next) {
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (e) {
+    return sendJSON(res, 400, { error: e.message });
+  }
+  const error = validate(body ?? {}, req.data.all(true));
+  if (error) {
+    return sendJSON(res, 400, { error });
+  }
+  try {
+    const { url, resort, lifts, states } = body;
+    sendJSON(res, 201, await req.data.webhooks.add({ url, resort, lifts, states }));
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * Handles DELETE /api/webhooks/<id>
+ */
+export async function remove(req, res, next) {
+  try {
+    const removed = await req.data.webhooks.remove(req.params.id);
+    res.writeHead(removed ? 204 : 404).end();
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * Handles POST /api/webhooks/<id>/enable - re-enables subscription disabled after repeated failures
+ */
+export async function enable(req, res, next) {
+  try {
+    const subscription = await req.data.webhooks.enable(req.params.id);
+    if (!subscription) {
+      return res.writeHead(404).end();
+    }
+    sendJSON(res, 200, hideSecret(subscription));
+  } catch (e) {
+    next(e);
+  }
+}
@@ -0,0 +1,202 @@
+import crypto from 'node:crypto';
+import { readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import Debug from 'debug';
+import { LOG_DIR } from '../env.js';
+import { second } from '../tools/millis.js';
+import { request } from '../upstream.js';
+
+const debug = Debug('liftie:webhooks');
+
+const webhooksFileName = path.resolve(LOG_DIR, 'liftie.webhooks.json');
+
+const TIMEOUT = 10 * second;
+const RETRIES = 4; // retries after the first attempt fails
+const RETRY_DELAY = 10 * second; // doubled after each retry
+const MAX_FAILURES = 10; // consecutive failed deliveries before subscription is disabled
+
+export function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Selects lift transitions the subscription is interested in:
+ * optional `lifts` limits lift names, optional `states` limits new lift states.
+ * Lifts that just appeared or disappeared are not transitions.
+ */
+export function matches({ lifts, states }, changed) {
+  return Object.entries(changed)
+    .filter(([, { from, to }]) => from && to)
+    .filter(([lift, { to }]) => (!lifts?.length || lifts.includes(lift)) && (!states?.length || states.includes(to)))
+    .map(([lift, { from, to }]) => ({ lift, from, to }));
+}
+
+// webhook subscriptions notified about lift status transitions
+export default function webhooks(file = webhooksFileName) {
+  let subscriptions = {};
+  let loaded;
+  let saving = Promise.resolve(); // saves are written one at a time
+
+  async function load() {
+    try {
+      debug('Reading from %s', file);
+      subscriptions = JSON.parse(await readFile(file, { encoding: 'utf8' }));
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.error('Cannot read webhooks', e);
+      }
+    }
+    return Object.keys(subscriptions).length;
+  }
+
+  function save() {
+    saving = saving.then(write);
+    return saving;
+  }
+
+  async function write() {
+    const fileNew = `${file}.new`;
+    try {
+      await writeFile(fileNew, JSON.stringify(subscriptions), { encoding: 'utf8' });
+      await rename(fileNew, file);
+    } catch (e) {
+      console.error('Cannot write webhooks', e);
+    }
+  }
+
+  /**
+   * Waits for the changes of subscriptions to be written out
+   */
+  function flush() {
+    return saving;
+  }
+
+  function onload(fn) {
+    if (!loaded) {
+      loaded = load();
+    }
+    loaded.then(c => process.nextTick(fn, null, c)).catch(e => process.nextTick(fn, e));
+  }
+
+  function list() {
+    return Object.values(subscriptions);
+  }
+
+  function get(id) {
+    return subscriptions[id];
+  }
+
+  async function add({ url, resort, lifts, states }) {
+    const subscription = {
+      id: crypto.randomUUID(),
+      secret: crypto.randomBytes(24).toString('base64url'),
+      url,
+      resort,
+      lifts,
+      states,
+      created: Date.now(),
+      failures: 0
+    };
+    subscriptions[subscription.id] = subscription;
+    await save();
+    return subscription;
+  }
+
+  async function remove(id) {
+    if (!subscriptions[id]) {
+      return false;
+    }
+    delete subscriptions[id];
+    await save();
+    return true;
+  }
+
+  async function enable(id) {
+    const subscription = subscriptions[id];
+    if (subscription) {
+      subscription.failures = 0;
+      delete subscription.disabled;
+      await save();
+    }
+    return subscription;
+  }
+
+  async function post({ url, secret }, body) {
+    // not `upstream` - deliveries are retried here and never recorded as fixtures
+    const res = await request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json;charset=UTF-8',
+        'X-Liftie-Signature': sign(secret, body)
+      },
+      body,
+      timeout: TIMEOUT
+    });
+    await res.body?.cancel();
+    if (res.status < 200 || res.status >= 300) {
+      throw res.status;
+    }
+  }
+
+  function send(subscription, body, attempt = 0) {
+    post(subscription, body)
+      .then(() => {
+        debug('Delivered to %s', subscription.url);
+        if (subscription.failures) {
+          subscription.failures = 0;
+          return save();
+        }
+      })
+      .catch(err => {
+        if (attempt < RETRIES) {
+          const delay = RETRY_DELAY * 2 ** attempt;
+          debug('Delivery to %s failed: %s - retry in %d ms', subscription.url, err, delay);
+          setTimeout(send, delay, subscription, body, attempt + 1);
+          return;
+        }
+        console.error('Cannot deliver webhook to %s', subscription.url, err);
+        subscription.failures += 1;
+        if (subscription.failures >= MAX_FAILURES) {
+          console.error('Disabling webhook %s after %d failures', subscription.id, subscription.failures);
+          subscription.disabled = Date.now();
+        }
+        return save();
+      });
+  }
+
+  /**
+   * Posts lift changes of the resort to all matching subscriptions
+   */
+  function deliver(resort, timestamp, changed) {
+    list()
+      .filter(s => s.resort === resort.id && !s.disabled)
+      .forEach(subscription => {
+        const changes = matches(subscription, changed);
+        if (!changes.length) {
+          return;
+        }
+        const body = JSON.stringify({
+          subscription: subscription.id,
+          resort: {
+            id: resort.id,
+            name: resort.name,
+            href: resort.href
+          },
+          timestamp,
+          changes
+        });
+        send(subscription, body);
+      });
+  }
+
+  return {
+    onload,
+    list,
+    get,
+    add,
+    remove,
+    enable,
+    deliver,
+    flush
+  };
+}
@@ -0,0 +1,157 @@
+import Debug from 'debug';
+import { localDate, timezone } from './hours.js';
+import { day, hour } from './tools/millis.js';
+
+const debug = Debug('liftie:season');
+
+fetch.interval = {
+  active: hour,
+  inactive: 12 * hour,
+  offSeason: 12 * hour
+};
+
+// typical season if resort only configures some of the dates
+const HEMISPHERES = {
+  north: { opening: '11-15', closing: '04-15' },
+  south: { opening: '06-01', closing: '10-01' }
+};
+
+// how long before opening the season is considered started
+const PRE_SEASON = 30 * day;
+
+function hemisphere({ ll, season }) {
+  return season?.hemisphere ?? (ll?.[1] < 0 ? 'south' : 'north');
+}
+
+// YYYY-MM-DD or MM-DD for the date repeating every year
+// placeholders like `0000-00-00` mean the date is not known
+function parseDate(date) {
+  const match = /^(?:(\d{4})-)?(\d{2})-(\d{2})$/.exec(date ?? '');
+  if (!match) {
+    return;
+  }
+  const [, year, month, day] = match.map(Number);
+  if (year === 0 || month < 1 || month > 12 || day < 1 || day > 31) {
+    return;
+  }
+  return { year: match[1] ? year : undefined, month: month - 1, day };
+}
+
+// dates are calendar days in the resort's time zone kept as UTC midnight
+function toDate(date, year, days = 0) {
+  return new Date(Date.UTC(date.year ?? year, date.month, date.day + days));
+}
+
+function format(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// current date in the resort's time zone - or in the local time zone if the resort's is not known
+function today(resort, now) {
+  const tz = timezone(resort);
+  if (tz) {
+    try {
+      return new Date(localDate(tz, now));
+    } catch {
+      // invalid time zone
+    }
+  }
+  const local = new Date(now);
+  return new Date(Date.UTC(local.getFullYear(), local.getMonth(), local.getDate()));
+}
+
+// season dates configured in resort.json - `opening` alone is still supported
+function dates(resort) {
+  const { season, opening } = resort;
+  if (!season) {
+    return { opening };
+  }
+  const defaults = HEMISPHERES[hemisphere(resort)];
+  return {
+    opening: season.opening ?? defaults.opening,
+    closing: season.closing ?? defaults.closing
+  };
+}
+
+// seasons around the `year` - repeating seasons may span the new year
+function windows(opening, closing, year) {
+  return [year - 1, year, year + 1].map(y => {
+    const start = toDate(opening, y);
+    if (!closing) {
+      return { start };
+    }
+    let last = toDate(closing, y);
+    if (closing.year === undefined && last < start) {
+      last = toDate(closing, y + 1);
+    }
+    // season ends at the end of its last day
+    return { start, last, end: toDate(closing, last.getUTCFullYear(), 1) };
+  });
+}
+
+/**
+ * Calculates season state of the `resort` on the current date in its time zone:
+ * - `pre-season` - not open yet, `opening` is the date of the opening
+ * - `open` - `closing` is the last day of the season if known
+ * - `closed` - closed for the season, `closing` was the last day, `opening` is the date of reopening if known
+ *
+ * Returns nothing if season dates are not configured.
+ */
+export function season(resort, now = Date.now()) {
+  const { opening, closing } = dates(resort);
+  const openingDate = parseDate(opening);
+  if (!openingDate) {
+    return;
+  }
+  const date = today(resort, now);
+  const all = windows(openingDate, parseDate(closing), date.getUTCFullYear());
+  const current = all.find(({ start, end }) => start <= date && !(end <= date));
+  if (current) {
+    return { state: 'open', closing: current.last && format(current.last) };
+  }
+  const next = all.find(({ start }) => start > date);
+  const last = all.findLast(({ end }) => end <= date);
+  const state = next && (!last || next.start - date <= PRE_SEASON) ? 'pre-season' : 'closed';
+  return {
+    state,
+    opening: next && format(next.start),
+    closing: last && format(last.last)
+  };
+}
+
+// season is named after the year in which it typically opens - so that its name does not change with its dates
+function seasonName(resort, start) {
+  const typical = parseDate(HEMISPHERES[hemisphere(resort)].opening);
+  const distance = year => Math.abs(toDate(typical, year) - start);
+  const year = start.getUTCFullYear();
+  return [year - 1, year + 1].reduce((best, y) => (distance(y) < distance(best) ? y : best), year);
+}
+
+/**
+ * Configured dates of the current and the next season of the `resort` - seasons that ended and openings
+ * that passed without known closing are not included:
+ * - `name` - year in which the season typically opens
+ * - `opening` - the first day of the season
+ * - `closing` - the last day of the season if known
+ */
+export function seasons(resort, now = Date.now()) {
+  const { opening, closing } = dates(resort);
+  const openingDate = parseDate(opening);
+  if (!openingDate) {
+    return [];
+  }
+  const date = today(resort, now);
+  const all = windows(openingDate, parseDate(closing), date.getUTCFullYear());
+  const current = all.find(({ start, end }) => start <= date && end > date);
+  const next = all.find(({ start }) => start > date);
+  return [current, next].filter(Boolean).map(({ start, last }) => ({
+    name: seasonName(resort, start),
+    opening: format(start),
+    closing: last && format(last)
+  }));
+}
+
+export default function fetch(resort, fn) {
+  debug('Calculate season for %s', resort.id);
+  process.nextTick(fn.bind(null, null, season(resort)));
+}
@@ -0,0 +1,36 @@
+import Debug from 'debug';
+import fetchHook, { hookHost } from '../lifts/hook.js';
+import { hour } from '../tools/millis.js';
+
+const debug = Debug('liftie:snow');
+
+fetch.interval = {
+  active: hour,
+  inactive: 3 * hour // snow tile is not displayed if report is older than a day
+};
+
+fetch.host = resort => hookHost('snow', resort);
+
+function escapeHtml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function notice({ name, href }) {
+  return `Snow report by <a href="${escapeHtml(href)}" target="_blank" rel="noopener">${escapeHtml(name)}</a>`;
+}
+
+// snow report is parsed by `snow.js` module in resort directory:
+// `snowfall` in the last 48 hours and `depth` of snow base in inches, and surface `condition`
+export default function fetch(resort, fn) {
+  debug('Fetch snow report for %s', resort.id);
+  fetchHook('snow', resort, (err, data) => {
+    if (err || !data) {
+      return fn(err);
+    }
+    fn(null, {
+      timestamp: Date.now(),
+      notice: notice({ name: resort.name, href: resort.url.host + resort.url.pathname }),
+      ...data
+    });
+  });
+}
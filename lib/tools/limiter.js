@@ -1,4 +1,5 @@
 import { RateLimiter } from 'limiter';
+import { rateLimit } from '../metrics.js';
 
 export default function Limiter(...args) {
   const items = argsToLimiters(args);
@@ -13,7 +14,11 @@ export default function Limiter(...args) {
   }
 
   function limit(fn) {
-    return hasTokens() ? removeToken().then(() => fn(), fn) : process.nextTick(fn, { fetchLater: true });
+    if (hasTokens()) {
+      return removeToken().then(() => fn(), fn);
+    }
+    rateLimit();
+    process.nextTick(fn, { fetchLater: true });
   }
 
   function argsToLimiters(args) {
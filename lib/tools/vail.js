@@ -9,18 +9,34 @@ const debug = Debug('liftie:resort:vail');
 
 const statuses = ['closed', 'open', 'hold', 'scheduled'];
 
-function extractLiftData(script) {
-  const context = { FR: {} };
-  vm.runInNewContext(script, context);
-  return context.FR?.TerrainStatusFeed?.Lifts || [];
-}
+// feed uses either numbers or names for trail difficulty
+const difficulties = {
+  1: 'easy',
+  2: 'intermediate',
+  3: 'advanced',
+  4: 'expert',
+  5: 'park',
+  Green: 'easy',
+  Blue: 'intermediate',
+  Black: 'advanced',
+  DoubleBlack: 'expert',
+  TerrainPark: 'park'
+};
 
-function parseLiftStatus(dom) {
+function extractFeed(dom) {
   const dataScript = select(dom, 'script')
     .map(script => domutil.allText(script).trim())
     .find(script => script.includes('TerrainStatusFeed = {'));
 
-  const liftStatus = extractLiftData(dataScript).reduce((liftStatus, { Name, Status }) => {
+  const context = { FR: {} };
+  vm.runInNewContext(dataScript, context);
+  return context.FR?.TerrainStatusFeed || {};
+}
+
+function parseLiftStatus(dom) {
+  const { Lifts = [] } = extractFeed(dom);
+
+  const liftStatus = Lifts.reduce((liftStatus, { Name, Status }) => {
     liftStatus[Name.trim()] = statuses[Status];
     return liftStatus;
   }, {});
@@ -48,6 +64,25 @@ function followWaitingRoom(waitingRoom) {
     });
 }
 
+// common parser for Vail Resorts trail status
+export function trails(dom) {
+  const { GroomingAreas = [] } = extractFeed(dom);
+
+  const trailStatus = {};
+  GroomingAreas.forEach(({ Trails = [] }) => {
+    Trails.forEach(({ Name, Difficulty, IsOpen, IsGroomed }) => {
+      trailStatus[Name.trim()] = {
+        status: IsOpen ? 'open' : 'closed',
+        difficulty: difficulties[Difficulty],
+        groomed: Boolean(IsGroomed)
+      };
+    });
+  });
+
+  debug('vail Trail Status:', trailStatus);
+  return trailStatus;
+}
+
 // common parser for Vail Resorts lift status
 export default function parse(dom) {
   const waitingRoom = select(dom, 'script')
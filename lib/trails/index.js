@@ -0,0 +1,27 @@
+import Debug from 'debug';
+import fetchHook, { hookHost } from '../lifts/hook.js';
+import { hour, minute } from '../tools/millis.js';
+import stats from './stats.js';
+
+const debug = Debug('liftie:trails');
+
+fetch.interval = {
+  active: 5 * minute,
+  inactive: hour
+};
+
+fetch.host = resort => hookHost('trails', resort);
+
+// trail status is parsed by `trails.js` module in resort directory
+export default function fetch(resort, fn) {
+  debug('Fetch trail status for %s', resort.id);
+  fetchHook('trails', resort, (err, data) => {
+    if (err || !data) {
+      return fn(err);
+    }
+    fn(null, {
+      status: data,
+      stats: stats(data)
+    });
+  });
+}
@@ -0,0 +1,20 @@
+/**
+ * Counts open and groomed trails - in total and for each difficulty
+ */
+export default function stats(status) {
+  return Object.values(status).reduce(
+    (memo, { status, difficulty, groomed }) => {
+      const open = status === 'open' ? 1 : 0;
+      memo.total += 1;
+      memo.open += open;
+      memo.groomed += groomed ? 1 : 0;
+      if (difficulty) {
+        const d = (memo.difficulty[difficulty] ??= { open: 0, total: 0 });
+        d.total += 1;
+        d.open += open;
+      }
+      return memo;
+    },
+    { total: 0, open: 0, groomed: 0, difficulty: {} }
+  );
+}
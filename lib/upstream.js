@@ -0,0 +1,94 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+import Debug from 'debug';
+import {
+  LIFTIE_FETCH_RETRIES,
+  LIFTIE_FETCH_TIMEOUT,
+  LIFTIE_FIXTURES,
+  LIFTIE_PROXY,
+  LIFTIE_UPSTREAM,
+  LIFTIE_USER_AGENT
+} from './env.js';
+import fixtures from './fixtures.js';
+import { upstreamResponse } from './metrics.js';
+import { second } from './tools/millis.js';
+
+const debug = Debug('liftie:upstream');
+
+const RETRY_DELAY = second;
+
+let dispatcher;
+
+// `record` saves all upstream responses in `LIFTIE_FIXTURES`, `replay` serves them from there without network
+const recorded = ['record', 'replay'].includes(LIFTIE_UPSTREAM) ? fixtures(LIFTIE_FIXTURES) : undefined;
+
+async function getDispatcher() {
+  if (LIFTIE_PROXY && !dispatcher) {
+    // only needed when proxy is configured
+    const { ProxyAgent } = await import('undici');
+    dispatcher = new ProxyAgent(LIFTIE_PROXY);
+  }
+  return dispatcher;
+}
+
+function retriable(res) {
+  return res.status >= 500;
+}
+
+/**
+ * Sends a single request:
+ * - sets `User-Agent` header
+ * - aborts the request (including reading the body) if it takes longer than `timeout` millis
+ * - sends it through `LIFTIE_PROXY` if configured
+ */
+export async function request(url, { timeout = Number(LIFTIE_FETCH_TIMEOUT), headers, ...init } = {}) {
+  const options = {
+    ...init,
+    headers: {
+      ...(LIFTIE_USER_AGENT && { 'User-Agent': LIFTIE_USER_AGENT }),
+      Accept: '*/*',
+      ...headers
+    },
+    signal: AbortSignal.timeout(timeout)
+  };
+  const proxy = await getDispatcher();
+  if (proxy) {
+    options.dispatcher = proxy;
+  }
+  return fetch(url, options);
+}
+
+/**
+ * Shared HTTP client for all upstream requests:
+ * - sends requests like `request`
+ * - retries network errors and 5xx responses up to `retries` times
+ * - records or replays responses if `LIFTIE_UPSTREAM` is set
+ *
+ * Takes the same parameters as `fetch` and resolves to `Response`.
+ */
+export default async function upstream(
+  url,
+  { timeout = Number(LIFTIE_FETCH_TIMEOUT), retries = Number(LIFTIE_FETCH_RETRIES), ...init } = {}
+) {
+  if (LIFTIE_UPSTREAM === 'replay') {
+    return recorded.replay(url, init);
+  }
+  for (let attempt = 0; ; attempt += 1) {
+    const last = attempt >= retries;
+    try {
+      const res = await request(url, { ...init, timeout });
+      upstreamResponse(res.status);
+      if (last || !retriable(res)) {
+        return LIFTIE_UPSTREAM === 'record' ? recorded.record(url, init, res) : res;
+      }
+      debug('Retrying %s after %d', url, res.status);
+      await res.body?.cancel();
+    } catch (err) {
+      upstreamResponse(err.name === 'TimeoutError' ? 'timeout' : 'error');
+      if (last) {
+        throw err;
+      }
+      debug('Retrying %s after %s', url, err.message);
+    }
+    await sleep(RETRY_DELAY * 2 ** attempt);
+  }
+}
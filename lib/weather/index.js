@@ -8,6 +8,8 @@ fetch.interval = {
   inactive: Number.POSITIVE_INFINITY // don't fetch on inactive
 };
 
+fetch.host = resort => (resort.noaa ? 'api.weather.gov' : 'api.openweathermap.org');
+
 export default function fetch(resort, fn) {
   // see: https://openweathermap.org/forecast5
 
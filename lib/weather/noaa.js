@@ -1,5 +1,6 @@
 import Debug from 'debug';
-import { LIFTIE_USER_AGENT, LIFTIE_STATIC_HOST as staticHost } from '../env.js';
+import { LIFTIE_STATIC_HOST as staticHost } from '../env.js';
+import upstream from '../upstream.js';
 import { iconsFromUrl } from './icons.js';
 
 const debug = Debug('liftie:weather');
@@ -35,10 +36,8 @@ export default function fetchWeather(resort, fn) {
     return process.nextTick(fn);
   }
   const url = `https://api.weather.gov/gridpoints/${resort.noaa}/forecast`;
-  fetch(url, {
-    method: 'GET',
+  upstream(url, {
     headers: {
-      'User-Agent': LIFTIE_USER_AGENT,
       Accept: 'application/geo+json'
     }
   })
@@ -1,6 +1,7 @@
 import Debug from 'debug';
 import limiter from '../tools/limiter.js';
 import * as millis from '../tools/millis.js';
+import upstream from '../upstream.js';
 import { iconsFrom } from './icons.js';
 
 const debug = Debug('liftie:weather');
@@ -85,7 +86,7 @@ export default function fetchForecast(resort, appid, fn) {
     url.searchParams.set('lat', resort.ll[1]);
     url.searchParams.set('appid', appid);
 
-    fetch(url)
+    upstream(url)
       .then(res => res.json())
       .then(body => fn(null, sanitize(body)))
       .catch(err => {
@@ -1,7 +1,7 @@
 import Debug from 'debug';
-import { LIFTIE_USER_AGENT } from './env.js';
 import limiter from './tools/limiter.js';
 import { minute } from './tools/millis.js';
+import upstream from './upstream.js';
 
 const debug = Debug('liftie:webcams');
 
@@ -10,6 +10,8 @@ fetchWebcams.interval = {
   inactive: Number.POSITIVE_INFINITY
 };
 
+fetchWebcams.host = () => 'api.windy.com';
+
 const limit = limiter(12, 'minute'); // 12 times a minute
 const notice = `Webcams provided by
 <a href="https://www.windy.com/" target="_blank" rel="noopener">windy.com</a> &mdash;
@@ -54,10 +56,9 @@ export default function fetchWebcams(resort, fn) {
     sp.set('limit', 5);
     sp.set('nearby', `${lat},${lon},5`);
     sp.set('include', 'images,urls');
-    fetch(url, {
+    upstream(url, {
       headers: {
         Accept: 'application/json',
-        'User-Agent': LIFTIE_USER_AGENT,
         'x-windy-api-key': WEBCAMS_API_KEY
       }
     })
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import feed, { parseCsv } from '../../lib/deals/feed.js';
+import fetch, { current, deals, register } from '../../lib/deals/index.js';
+
+test('parse CSV with quoted fields', () => {
+  const csv = [
+    'resort,title,discount,href,expires',
+    'squaw,"Midweek, 4 days",25%,https://example.com/a,2026-03-01',
+    'squaw,"The ""Early"" pass",$50,https://example.com/b,',
+    ''
+  ].join('\n');
+  assert.deepEqual(parseCsv(csv), [
+    {
+      resort: 'squaw',
+      title: 'Midweek, 4 days',
+      discount: '25%',
+      href: 'https://example.com/a',
+      expires: '2026-03-01'
+    },
+    {
+      resort: 'squaw',
+      title: 'The "Early" pass',
+      discount: '$50',
+      href: 'https://example.com/b',
+      expires: ''
+    }
+  ]);
+});
+
+test('filter expired deals', () => {
+  const now = Date.parse('2026-03-01T12:00:00Z');
+  const offers = [
+    { title: 'yesterday', expires: '2026-02-28' },
+    { title: 'today', expires: '2026-03-01' },
+    { title: 'an hour ago', expires: '2026-03-01T11:00:00Z' },
+    { title: 'forever' }
+  ];
+  assert.deepEqual(
+    current(offers, now).map(({ title }) => title),
+    ['today', 'forever']
+  );
+});
+
+test('best deal first', () => {
+  const result = deals(
+    [
+      { title: 'small', discount: '10%', href: 'https://example.com/small' },
+      { title: 'free', discount: 'free lesson', href: 'https://example.com/free' },
+      { title: 'big', discount: '35%', href: 'https://example.com/big' }
+    ],
+    Date.now()
+  );
+  assert.equal(result.title, 'big');
+  assert.equal(result.discount, '35%');
+  assert.equal(result.href, 'https://example.com/big');
+  assert.deepEqual(
+    result.deals.map(({ title }) => title),
+    ['big', 'small', 'free']
+  );
+});
+
+test('percentages before amounts', () => {
+  const result = deals(
+    [
+      { title: 'ten dollars', discount: '$10' },
+      { title: 'fifty dollars', discount: '$50' },
+      { title: 'free', discount: 'free lesson' },
+      { title: 'ten percent', discount: '10%' },
+      { title: 'thousand dollars', discount: '$1,000' },
+      { title: 'quarter', discount: '25%' }
+    ],
+    Date.now()
+  );
+  assert.deepEqual(
+    result.deals.map(({ title }) => title),
+    ['quarter', 'ten percent', 'thousand dollars', 'fifty dollars', 'ten dollars', 'free']
+  );
+});
+
+test('no deals', () => {
+  assert.equal(deals([{ title: 'old', discount: '10%', expires: '2000-01-01' }]), undefined);
+});
+
+test('feed provider', async t => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'liftie-deals-'));
+  t.after(() => rm(dir, { recursive: true }));
+  const file = path.join(dir, 'deals.json');
+  await writeFile(
+    file,
+    JSON.stringify([
+      { resort: 'squaw', title: 'Midweek', discount: '25%', href: 'https://example.com/a' },
+      { resort: 'mammoth', title: 'Spring', discount: '15%', href: 'https://example.com/b' }
+    ])
+  );
+  const provider = feed(file);
+  assert.deepEqual(await provider({ id: 'squaw' }), [
+    { title: 'Midweek', discount: '25%', href: 'https://example.com/a' }
+  ]);
+  assert.deepEqual(await provider({ id: 'stowe' }), []);
+});
+
+test('fetch deals from registered provider', (_, done) => {
+  register(async resort => (resort.id === 'squaw' ? [{ title: 'Midweek', discount: '25%' }] : []));
+  fetch({ id: 'squaw' }, (err, data) => {
+    assert.ifError(err);
+    assert.equal(data.title, 'Midweek');
+    assert.equal(data.deals.length, 1);
+    fetch({ id: 'stowe' }, (err, data) => {
+      assert.ifError(err);
+      assert.equal(data, undefined);
+      done();
+    });
+  });
+});
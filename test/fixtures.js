@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import fixtures, { requestKey } from '../lib/fixtures.js';
+import { withUpstream } from '../lib/metrics.js';
+
+test('requestKey should skip API keys', () => {
+  assert.equal(
+    requestKey('https://api.example.com/forecast?lat=1&appid=SECRET'),
+    'GET https://api.example.com/forecast?lat=1'
+  );
+  assert.equal(
+    requestKey('https://api.example.com/lifts', { method: 'POST', body: '{"id":1}' }),
+    'POST https://api.example.com/lifts {"id":1}'
+  );
+});
+
+test('fixtures should replay recorded responses', async t => {
+  const dir = path.join(tmpdir(), `liftie.fixtures.${process.pid}`);
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const { record, replay } = fixtures(dir);
+  const url = 'https://lifts.example.com/status?appid=SECRET';
+
+  await withUpstream('lifts', 'alpine', async () => {
+    const res = await record(
+      url,
+      {},
+      new Response('<ul></ul>', { status: 200, headers: { 'content-type': 'text/html', 'set-cookie': 'a=b' } })
+    );
+    // recorded response can be still consumed
+    assert.equal(await res.text(), '<ul></ul>');
+  });
+
+  const saved = readFileSync(path.join(dir, 'alpine', 'lifts.json'), 'utf8');
+  assert.ok(!saved.includes('SECRET'));
+  assert.ok(!saved.includes('set-cookie'));
+
+  await withUpstream('lifts', 'alpine', async () => {
+    const res = await replay(url, {});
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'text/html');
+    assert.equal(await res.text(), '<ul></ul>');
+  });
+
+  await withUpstream('weather', 'alpine', async () => {
+    await assert.rejects(replay(url, {}), /No recorded response/);
+  });
+});
+
+test('fixtures should keep responses recorded at the same time', async t => {
+  const dir = path.join(tmpdir(), `liftie.fixtures.concurrent.${process.pid}`);
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const { record } = fixtures(dir);
+  const urls = ['a', 'b', 'c', 'd'].map(page => `https://lifts.example.com/${page}`);
+
+  await withUpstream('lifts', 'alpine', () =>
+    Promise.all(urls.map(url => record(url, {}, new Response(url, { status: 200 }))))
+  );
+
+  const saved = JSON.parse(readFileSync(path.join(dir, 'alpine', 'lifts.json'), 'utf8'));
+  assert.deepEqual(
+    Object.values(saved).map(({ body }) => body),
+    urls
+  );
+});
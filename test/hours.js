@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { hours, localTime, timezone } from '../lib/hours.js';
+
+const now = Date.parse('2026-01-15T15:30:00Z');
+
+test('time zone is found from resort location', () => {
+  assert.equal(timezone({ ll: [-106.8, 39.6] }), 'America/Denver');
+  assert.equal(timezone({ ll: [6.9, 45.9] }), 'Europe/Paris');
+  assert.equal(timezone({ ll: [148.41, -36.4] }), 'Australia/Sydney');
+  assert.equal(timezone({}), undefined);
+  assert.equal(timezone({ ll: [500, 500] }), undefined);
+});
+
+test('configured time zone overrides location', () => {
+  assert.equal(timezone({ timezone: 'America/Denver', ll: [-110.83, 43.59] }), 'America/Denver');
+});
+
+test('local time', () => {
+  assert.equal(localTime('UTC', now), 15 * 60 + 30);
+  assert.equal(localTime('America/Denver', now), 8 * 60 + 30);
+  assert.equal(localTime('Australia/Sydney', now), 2 * 60 + 30);
+});
+
+test('operating hours', () => {
+  const resort = { timezone: 'America/Denver', hours: { opens: '09:00', closes: '16:00' } };
+  assert.deepEqual(hours(resort, now), {
+    timezone: 'America/Denver',
+    time: '08:30',
+    opens: '09:00',
+    closes: '16:00',
+    state: 'opening'
+  });
+  assert.equal(hours({ ...resort, hours: { opens: '8:30', closes: '16:00' } }, now).state, 'open');
+  assert.equal(hours({ ...resort, timezone: 'Australia/Sydney' }, now).state, 'closed');
+});
+
+test('typical operating hours if not configured', () => {
+  assert.deepEqual(hours({ timezone: 'America/Denver' }, now), {
+    timezone: 'America/Denver',
+    time: '08:30',
+    state: 'opening'
+  });
+  assert.equal(hours({ timezone: 'America/Denver', hours: { opens: '9am' } }, now).state, 'opening');
+  assert.equal(hours({ ll: [148.41, -36.4] }, now).state, 'closed');
+});
+
+test('unknown time zone', () => {
+  const h = { opens: '09:00', closes: '16:00' };
+  assert.equal(hours({ id: 'example', hours: h }, now), undefined);
+  assert.equal(hours({ id: 'example', timezone: 'Nowhere/Invalid', ll: [-106.8, 39.6], hours: h }, now), undefined);
+});
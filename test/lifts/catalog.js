@@ -0,0 +1,21 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import catalog from '../../lib/lifts/catalog.js';
+
+test('catalog should match lifts by name', () => {
+  const entries = {
+    'Summit Express': { type: 'chair', seats: 6 },
+    Gondola: { type: 'gondola', seats: 8 },
+    Removed: { type: 'surface' }
+  };
+  const status = {
+    'SUMMIT  EXPRESS': 'open',
+    Gondola: 'closed',
+    'New Lift': 'open'
+  };
+  assert.deepEqual(catalog(entries, status), {
+    'SUMMIT  EXPRESS': { type: 'chair', seats: 6 },
+    Gondola: { type: 'gondola', seats: 8 }
+  });
+  assert.equal(catalog(undefined, status), undefined);
+});
@@ -0,0 +1,152 @@
+import test from 'node:test';
+import { Agent, install, MockAgent, setGlobalDispatcher } from 'undici';
+import pipe from '../../lib/lifts/pipe.js';
+
+test('pipe should not parse unchanged responses', async t => {
+  const mockAgent = new MockAgent();
+  const url = { host: 'https://lifts.example.com', pathname: '/status' };
+  const html = '<ul><li>Summit</li></ul>';
+  let parsed = 0;
+
+  function parse() {
+    parsed += 1;
+    return { Summit: 'open' };
+  }
+
+  function fetchLifts() {
+    return new Promise((resolve, reject) => pipe(url, parse, (err, status) => (err ? reject(err) : resolve(status))));
+  }
+
+  t.before(() => {
+    install();
+    setGlobalDispatcher(mockAgent);
+    mockAgent.disableNetConnect();
+    const pool = mockAgent.get('https://lifts.example.com');
+    pool.intercept({ path: '/status' }).reply(200, html, { headers: { etag: '"v1"' } });
+    pool.intercept({ path: '/status', headers: { 'if-none-match': '"v1"' } }).reply(304, '');
+    pool.intercept({ path: '/status' }).reply(200, html);
+  });
+
+  t.after(async () => {
+    await mockAgent.close();
+    setGlobalDispatcher(new Agent());
+  });
+
+  await t.test('first response is parsed', async t => {
+    t.assert.deepEqual(await fetchLifts(), { Summit: 'open' });
+    t.assert.equal(parsed, 1);
+  });
+
+  await t.test('not modified response is not parsed', async t => {
+    t.assert.deepEqual(await fetchLifts(), { Summit: 'open' });
+    t.assert.equal(parsed, 1);
+  });
+
+  await t.test('response with the same content is not parsed', async t => {
+    t.assert.deepEqual(await fetchLifts(), { Summit: 'open' });
+    t.assert.equal(parsed, 1);
+    mockAgent.assertNoPendingInterceptors();
+  });
+});
+
+test('pipe should share responses between parsers', async t => {
+  const mockAgent = new MockAgent();
+  const url = { host: 'https://trails.example.com', pathname: '/status' };
+  const html = '<ul><li>Summit</li></ul>';
+
+  function parseLifts() {
+    return { Summit: 'open' };
+  }
+
+  function parseTrails() {
+    return { Promenade: { status: 'open' } };
+  }
+
+  function parseSnow() {
+    return { depth: 40 };
+  }
+
+  function fetchWith(parse, maxAge) {
+    return new Promise((resolve, reject) =>
+      pipe(url, parse, (err, status) => (err ? reject(err) : resolve(status)), maxAge)
+    );
+  }
+
+  t.before(() => {
+    install();
+    setGlobalDispatcher(mockAgent);
+    mockAgent.disableNetConnect();
+    const pool = mockAgent.get('https://trails.example.com');
+    pool.intercept({ path: '/status' }).reply(200, html, { headers: { etag: '"v1"' } });
+    pool.intercept({ path: '/status', headers: { 'if-none-match': '"v1"' } }).reply(304, '');
+  });
+
+  t.after(async () => {
+    await mockAgent.close();
+    setGlobalDispatcher(new Agent());
+  });
+
+  await t.test('recent response is parsed without requesting it again', async t => {
+    t.assert.deepEqual(await fetchWith(parseLifts), { Summit: 'open' });
+    t.assert.deepEqual(await fetchWith(parseTrails, 60 * 1000), { Promenade: { status: 'open' } });
+  });
+
+  await t.test('not modified response is parsed by the parser that has not seen it', async t => {
+    t.assert.deepEqual(await fetchWith(parseSnow), { depth: 40 });
+    mockAgent.assertNoPendingInterceptors();
+  });
+});
+
+test('pipe should download the page again if its body is not kept anymore', async t => {
+  const mockAgent = new MockAgent();
+  const url = { host: 'https://many.example.com', pathname: '/status' };
+  const html = '<ul><li>Summit</li></ul>';
+  let requests = [];
+
+  function parseLifts() {
+    return { Summit: 'open' };
+  }
+
+  function parseTrails() {
+    return { Promenade: { status: 'open' } };
+  }
+
+  function fetchWith(url, parse) {
+    return new Promise((resolve, reject) => pipe(url, parse, (err, status) => (err ? reject(err) : resolve(status))));
+  }
+
+  t.before(() => {
+    install();
+    setGlobalDispatcher(mockAgent);
+    mockAgent.disableNetConnect();
+    const pool = mockAgent.get('https://many.example.com');
+    pool
+      .intercept({ path: /.*/ })
+      .reply(
+        200,
+        opts => {
+          requests.push(opts.headers);
+          return html;
+        },
+        { headers: { etag: '"v1"' } }
+      )
+      .persist();
+  });
+
+  t.after(async () => {
+    await mockAgent.close();
+    setGlobalDispatcher(new Agent());
+  });
+
+  await fetchWith(url, parseLifts);
+  await fetchWith(url, parseLifts);
+  t.assert.equal(requests[1]['If-None-Match'], '"v1"');
+  // other pages push the body of the first one out
+  for (let i = 0; i < 25; i++) {
+    await fetchWith({ ...url, pathname: `/other/${i}` }, parseLifts);
+  }
+  requests = [];
+  t.assert.deepEqual(await fetchWith(url, parseTrails), { Promenade: { status: 'open' } });
+  t.assert.equal(requests.length, 1);
+  t.assert.equal(requests[0]['If-None-Match'], undefined);
+});
@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import canonical from '../../lib/lifts/names.js';
+
+const status = {
+  'Magic  Carpet': 'open',
+  'SUMMIT EXPRESS (6)': 'open',
+  Gondola: 'closed',
+  'Bunny Hill': 'hold'
+};
+
+test('canonical should keep status if no settings', () => {
+  assert.equal(canonical({}, status), status);
+});
+
+test('canonical should apply aliases regardless of case and whitespace', () => {
+  const result = canonical({ aliases: { 'Summit Express  (6)': 'Summit Express' } }, status);
+  assert.deepEqual(Object.keys(result), ['Magic  Carpet', 'Summit Express', 'Gondola', 'Bunny Hill']);
+  assert.equal(result['Summit Express'], 'open');
+});
+
+test('canonical should hide lifts', () => {
+  const result = canonical({ hide: ['magic carpet'] }, status);
+  assert.deepEqual(Object.keys(result), ['SUMMIT EXPRESS (6)', 'Gondola', 'Bunny Hill']);
+});
+
+test('canonical should order lifts', () => {
+  const result = canonical(
+    {
+      aliases: { 'summit express (6)': 'Summit Express' },
+      order: ['Gondola', 'Summit Express']
+    },
+    status
+  );
+  assert.deepEqual(Object.keys(result), ['Gondola', 'Summit Express', 'Magic  Carpet', 'Bunny Hill']);
+});
@@ -99,3 +99,26 @@ test('summary should calculate summary for array of stats', () => {
     }
   );
 });
+
+test('stats should weight percentages by lift capacity', () => {
+  const status = {
+    Tram: 'closed',
+    Express: 'open',
+    Carpet: 'open',
+    Unknown: 'hold'
+  };
+  const catalog = {
+    Tram: { type: 'tram', seats: 100, capacity: 600 },
+    Express: { type: 'chair', seats: 6 },
+    Carpet: { type: 'surface', seats: 1, capacity: 393 }
+  };
+  const { percentage, capacity } = stats(status, catalog);
+  assert.deepEqual(percentage, { open: 50, hold: 25, scheduled: 0, closed: 25 });
+  assert.deepEqual(capacity, { open: 39.5, hold: 0, scheduled: 0, closed: 60.4 });
+});
+
+test('stats should not weight percentages if no lift capacity is known', () => {
+  const status = { Express: 'open', Carpet: 'closed' };
+  const catalog = { Express: { type: 'chair', seats: 6 } };
+  assert.equal(stats(status, catalog).capacity, undefined);
+});
@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { counter, gauge, histogram, render, upstreamLabels, withUpstream } from '../lib/metrics.js';
+
+test('metrics should render counters', () => {
+  const c = counter('test_counter_total', 'Test counter.', ['plugin']);
+  c.inc({ plugin: 'lifts' });
+  c.inc({ plugin: 'lifts' }, 2);
+  c.inc({ plugin: 'we"ather' });
+
+  const text = render();
+  assert.match(text, /# HELP test_counter_total Test counter.\n# TYPE test_counter_total counter\n/);
+  assert.match(text, /test_counter_total\{plugin="lifts"\} 3\n/);
+  assert.match(text, /test_counter_total\{plugin="we\\"ather"\} 1\n/);
+});
+
+test('metrics should render gauges without labels', () => {
+  const g = gauge('test_gauge', 'Test gauge.');
+  g.set({}, 5);
+  g.set({}, 7);
+  assert.match(render(), /# TYPE test_gauge gauge\ntest_gauge 7\n/);
+});
+
+test('metrics should render cumulative histogram buckets', () => {
+  const h = histogram('test_duration_seconds', 'Test histogram.', ['resort'], [1, 5]);
+  h.observe({ resort: 'alpine' }, 0.5);
+  h.observe({ resort: 'alpine' }, 3);
+  h.observe({ resort: 'alpine' }, 10);
+
+  const text = render();
+  assert.match(text, /test_duration_seconds_bucket\{resort="alpine",le="1"\} 1\n/);
+  assert.match(text, /test_duration_seconds_bucket\{resort="alpine",le="5"\} 2\n/);
+  assert.match(text, /test_duration_seconds_bucket\{resort="alpine",le="\+Inf"\} 3\n/);
+  assert.match(text, /test_duration_seconds_sum\{resort="alpine"\} 13.5\n/);
+  assert.match(text, /test_duration_seconds_count\{resort="alpine"\} 3\n/);
+});
+
+test('metrics should keep upstream labels across async calls', async () => {
+  assert.deepEqual(upstreamLabels(), { plugin: 'unknown', resort: 'unknown' });
+  const labels = await withUpstream('lifts', 'alpine', async () => {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    return upstreamLabels();
+  });
+  assert.deepEqual(labels, { plugin: 'lifts', resort: 'alpine' });
+});
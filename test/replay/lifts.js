@@ -0,0 +1,24 @@
+import assert from 'node:assert/strict';
+import { existsSync, readdirSync } from 'node:fs';
+import path from 'node:path';
+import test from 'node:test';
+import { promisify } from 'node:util';
+import { LIFTIE_FIXTURES, LIFTIE_UPSTREAM } from '../../lib/env.js';
+import fetchLifts from '../../lib/lifts/index.js';
+import load from '../../lib/loader.js';
+import { withUpstream } from '../../lib/metrics.js';
+
+// run with `make test-replay` after recording fixtures with `LIFTIE_UPSTREAM=record node app`
+
+const dir = path.resolve(LIFTIE_FIXTURES);
+const ids = existsSync(dir) ? readdirSync(dir).filter(id => existsSync(path.join(dir, id, 'lifts.json'))) : [];
+
+test('replay should parse lift status from recorded responses', { skip: LIFTIE_UPSTREAM !== 'replay' }, async t => {
+  const resorts = await load();
+  for (const id of ids.filter(id => resorts[id])) {
+    await t.test(id, async () => {
+      const { status } = await withUpstream('lifts', id, () => promisify(fetchLifts)(resorts[id]));
+      assert.ok(Object.keys(status).length > 0, `no lifts found for ${id}`);
+    });
+  }
+});
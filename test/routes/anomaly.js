@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import suspect, { anomaly } from '../../lib/routes/anomaly.js';
+import { hour } from '../../lib/tools/millis.js';
+
+const prev = {
+  Summit: 'open',
+  Express: 'open',
+  Magic: 'closed',
+  Bunny: 'hold',
+  Chair6: 'closed'
+};
+
+test('anomaly should accept similar status', () => {
+  assert.equal(anomaly(prev, { ...prev, Summit: 'closed' }), undefined);
+  assert.equal(anomaly(prev, { ...prev, NewLift: 'open' }), undefined);
+});
+
+test('anomaly should not judge resorts with few lifts', () => {
+  assert.equal(anomaly({ Summit: 'open' }, {}), undefined);
+  assert.equal(anomaly(undefined, { Summit: 'open' }), undefined);
+});
+
+test('anomaly should detect collapsed lift list', () => {
+  assert.equal(anomaly(prev, {}), 'no lifts found');
+  assert.equal(anomaly(prev, { Summit: 'open', Express: 'open' }), 'number of lifts dropped from 5 to 2');
+});
+
+test('anomaly should detect changed lift names', () => {
+  assert.equal(
+    anomaly(prev, { A: 'open', B: 'open', C: 'open', Summit: 'open', Magic: 'closed' }),
+    'only 2 of 5 lift names found'
+  );
+});
+
+test('anomaly should detect unknown statuses', () => {
+  const scheduled = Object.fromEntries(Object.keys(prev).map(name => [name, 'scheduled']));
+  assert.equal(anomaly(prev, scheduled), 'all lifts scheduled');
+  assert.equal(anomaly(scheduled, scheduled), undefined);
+});
+
+test('suspect should quarantine suspicious status for a limited time', () => {
+  const now = Date.UTC(2026, 0, 10, 12);
+  assert.equal(suspect(undefined, prev, prev, now), undefined);
+
+  const first = suspect(undefined, prev, {}, now);
+  assert.deepEqual(first, { reason: 'no lifts found', since: now, lifts: 0 });
+
+  const second = suspect(first, prev, { Summit: 'open' }, now + hour);
+  assert.deepEqual(second, { reason: 'number of lifts dropped from 5 to 1', since: now, lifts: 1 });
+
+  // accepted after quarantine
+  assert.equal(suspect(second, prev, {}, now + 6 * hour), undefined);
+});
@@ -0,0 +1,22 @@
+import assert from 'node:assert/strict';
+import { readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import cache from '../../lib/routes/cache.js';
+
+test('cache should write out changes on flush', async t => {
+  const file = path.join(tmpdir(), `liftie.cache.${process.pid}.json`);
+  t.after(() => rmSync(file, { force: true }));
+
+  const db = cache(file);
+  await db.load();
+  db.set('a', 1);
+  await db.flush();
+  assert.deepEqual(JSON.parse(readFileSync(file, 'utf8')), { a: 1 });
+
+  db.set('a', 2);
+  db.flush(); // starts writing
+  await db.flush(); // waits for the write in progress
+  assert.deepEqual(JSON.parse(readFileSync(file, 'utf8')), { a: 2 });
+});
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { rm } from 'node:fs/promises';
+import path from 'node:path';
+import test from 'node:test';
+import { LOG_DIR } from '../../lib/env.js';
+import calendar, { events, ics } from '../../lib/routes/calendar.js';
+
+const now = Date.UTC(2026, 9, 1, 12);
+
+const resorts = [
+  { id: 'squaw', name: 'Squaw Valley', season: { opening: '11-22', closing: '04-12' }, ll: [-120, 39] },
+  { id: 'perisher', name: 'Perisher', season: { opening: '06-07', closing: '10-05' }, ll: [148.41, -36.4] },
+  { id: 'stowe', name: 'Stowe' }
+];
+
+test('events for the current and the next season', () => {
+  assert.deepEqual(
+    events(resorts, now).map(({ uid, date, summary }) => ({ uid, date, summary })),
+    [
+      { uid: 'squaw-opening-2026@liftie.info', date: '2026-11-22', summary: 'Squaw Valley opens' },
+      { uid: 'squaw-closing-2026@liftie.info', date: '2027-04-12', summary: 'Squaw Valley closes for the season' },
+      { uid: 'perisher-opening-2026@liftie.info', date: '2026-06-07', summary: 'Perisher opens' },
+      { uid: 'perisher-closing-2026@liftie.info', date: '2026-10-05', summary: 'Perisher closes for the season' },
+      { uid: 'perisher-opening-2027@liftie.info', date: '2027-06-07', summary: 'Perisher opens' },
+      { uid: 'perisher-closing-2027@liftie.info', date: '2027-10-05', summary: 'Perisher closes for the season' }
+    ]
+  );
+});
+
+test('past seasons and openings are not included', () => {
+  const past = [
+    { id: 'old', name: 'Old', opening: '2017-12-09' },
+    { id: 'ended', name: 'Ended', season: { opening: '2025-11-22', closing: '2026-04-12' } },
+    { id: 'placeholder', name: 'Placeholder', season: { opening: '0000-00-00', closing: '0000-00-00' } }
+  ];
+  assert.deepEqual(events(past, now), []);
+});
+
+test('event keeps its UID when the date moves to the next year', () => {
+  const late = { id: 'squaw', name: 'Squaw Valley', season: { opening: '2027-01-02', closing: '2027-04-12' } };
+  assert.deepEqual(
+    events([late], now).map(({ uid }) => uid),
+    ['squaw-opening-2026@liftie.info', 'squaw-closing-2026@liftie.info']
+  );
+});
+
+test('format iCalendar', () => {
+  const str = ics(events(resorts.slice(0, 1), now).slice(0, 1), 'Liftie: All, really', now);
+  const lines = str.split('\r\n');
+  assert.equal(lines[0], 'BEGIN:VCALENDAR');
+  assert.equal(lines.at(-2), 'END:VCALENDAR');
+  assert.ok(lines.includes('X-WR-CALNAME:Liftie: All\\, really'));
+  assert.ok(lines.includes('UID:squaw-opening-2026@liftie.info'));
+  assert.ok(lines.includes('DTSTAMP:20261001T120000Z'));
+  assert.ok(lines.includes('SEQUENCE:0'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20261122'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20261123'));
+  assert.ok(lines.some(line => line.startsWith('URL:') && line.endsWith('/resort/squaw')));
+});
+
+test('fold long lines', () => {
+  const name = 'Śnieżka '.repeat(10);
+  const str = ics([], name, now);
+  const lines = str.split('\r\n');
+  const folded = lines.filter(line => line.startsWith(' '));
+  assert.ok(folded.length > 0);
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+  assert.ok(str.replace(/\r\n /g, '').includes(`X-WR-CALNAME:${name}`));
+});
+
+test('increment sequence when the date changes', async t => {
+  const name = `liftie.calendar.test-${process.pid}`;
+  const cal = calendar(name);
+  t.after(async () => {
+    await cal.flush();
+    await rm(path.resolve(LOG_DIR, `${name}.json`), { force: true });
+  });
+  await new Promise(resolve => cal.onload(resolve));
+
+  const squaw = [{ ...resorts[0], season: { opening: '2026-11-22' } }];
+  assert.match(cal.render(squaw, 'Liftie', now), /SEQUENCE:0/);
+  assert.match(cal.render(squaw, 'Liftie', now + 1000), /LAST-MODIFIED:20261001T120000Z/);
+
+  const moved = [{ ...resorts[0], season: { opening: '2026-11-28' } }];
+  const str = cal.render(moved, 'Liftie', now + 1000);
+  assert.match(str, /UID:squaw-opening-2026@liftie.info/);
+  assert.match(str, /SEQUENCE:1/);
+  assert.match(str, /LAST-MODIFIED:20261001T120001Z/);
+  assert.match(str, /DTSTART;VALUE=DATE:20261128/);
+});
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import changes, { liftChanges } from '../../lib/routes/changes.js';
+
+test('liftChanges should report nothing if status is the same', () => {
+  assert.equal(liftChanges({ a: 'open', b: 'closed' }, { b: 'closed', a: 'open' }), undefined);
+  assert.equal(liftChanges(undefined, {}), undefined);
+});
+
+test('liftChanges should report changed, new and removed lifts', () => {
+  assert.deepEqual(liftChanges({ a: 'hold', b: 'closed', c: 'open' }, { a: 'open', b: 'closed', d: 'scheduled' }), {
+    a: { from: 'hold', to: 'open' },
+    c: { from: 'open', to: undefined },
+    d: { from: undefined, to: 'scheduled' }
+  });
+});
+
+test('changes should include stats for lifts', () => {
+  const stats = { open: 1 };
+  assert.deepEqual(changes('lifts', { status: { a: 'hold' } }, { status: { a: 'open' }, stats }), {
+    changed: { a: { from: 'hold', to: 'open' } },
+    stats
+  });
+  assert.equal(changes('lifts', { status: { a: 'open' } }, { status: { a: 'open' }, stats }), undefined);
+});
+
+test('changes should report other plugins data in full', () => {
+  const weather = { conditions: 'Snow', temperature: { max: 20 } };
+  assert.deepEqual(changes('weather', undefined, weather), { data: weather });
+  assert.deepEqual(changes('weather', weather, undefined), { data: null });
+  assert.equal(changes('weather', weather, { conditions: 'Snow', temperature: { max: 20 } }), undefined);
+});
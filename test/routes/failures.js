@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import failure, { backoff } from '../../lib/routes/failures.js';
+import { hour, minute } from '../../lib/tools/millis.js';
+
+test('backoff should double interval with each failure', () => {
+  assert.equal(backoff(1, minute), minute);
+  assert.equal(backoff(2, minute), 2 * minute);
+  assert.equal(backoff(5, minute), 16 * minute);
+});
+
+test('backoff should not exceed maximum', () => {
+  assert.equal(backoff(20, minute), 4 * hour);
+  assert.equal(backoff(1, Number.POSITIVE_INFINITY), 4 * hour);
+});
+
+test('failure should count consecutive failures', () => {
+  const now = Date.UTC(2026, 0, 10);
+  const first = failure(undefined, 503, minute, now);
+  assert.deepEqual(first, {
+    count: 1,
+    message: '503',
+    timestamp: now,
+    retry: now + minute
+  });
+  const second = failure(first, new Error('socket hang up'), minute, now + minute);
+  assert.deepEqual(second, {
+    count: 2,
+    message: 'socket hang up',
+    timestamp: now + minute,
+    retry: now + 3 * minute
+  });
+});
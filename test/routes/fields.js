@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import select, { parseFields } from '../../lib/routes/fields.js';
+
+const resort = {
+  id: 'squaw',
+  name: 'Squaw Valley',
+  lifts: {
+    status: { Gondola: 'open' },
+    stats: { open: 1, hold: 0, scheduled: 0, closed: 0 }
+  },
+  weather: { temperature: { max: 30 } }
+};
+
+test('parse fields', () => {
+  assert.equal(parseFields(), undefined);
+  assert.equal(parseFields(''), undefined);
+  assert.deepEqual(parseFields('lifts.stats, name,'), [['lifts', 'stats'], ['name']]);
+});
+
+test('select all fields if none requested', () => {
+  assert.equal(select(resort), resort);
+});
+
+test('select nested fields', () => {
+  assert.deepEqual(select(resort, parseFields('lifts.stats,name')), {
+    id: 'squaw',
+    name: 'Squaw Valley',
+    lifts: {
+      stats: { open: 1, hold: 0, scheduled: 0, closed: 0 }
+    }
+  });
+});
+
+test('skip missing fields', () => {
+  assert.deepEqual(select(resort, parseFields('snow.depth,name.length,deals')), { id: 'squaw' });
+});
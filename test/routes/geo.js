@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { distance, geojson, near, parseLL } from '../../lib/routes/geo.js';
+
+const resorts = [
+  {
+    id: 'squaw',
+    name: 'Squaw Valley',
+    ll: [-120.235278, 39.197778],
+    lifts: { stats: { open: 3, hold: 0, scheduled: 0, closed: 1, percentage: { open: 75 } } }
+  },
+  { id: 'heavenly', name: 'Heavenly', ll: [-119.939444, 38.935] },
+  { id: 'stowe', name: 'Stowe', ll: [-72.7814, 44.5303] },
+  { id: 'nowhere', name: 'Nowhere' }
+];
+
+test('parse location', () => {
+  assert.deepEqual(parseLL('-120.1,39.2'), [-120.1, 39.2]);
+  assert.equal(parseLL(), undefined);
+  assert.equal(parseLL('abc'), undefined);
+  assert.equal(parseLL('1,2,3'), undefined);
+  assert.equal(parseLL('200,10'), undefined);
+  assert.equal(parseLL(','), undefined);
+  assert.equal(parseLL('-120.1,'), undefined);
+  assert.equal(parseLL(' ,39.2'), undefined);
+});
+
+test('great-circle distance', () => {
+  assert.equal(distance([0, 0], [0, 0]), 0);
+  // one degree of latitude is about 111 km
+  assert.equal(Math.round(distance([10, 45], [10, 46])), 111);
+  assert.equal(Math.round(distance(resorts[0].ll, resorts[1].ll)), 39);
+});
+
+test('resorts as GeoJSON', () => {
+  const { type, features } = geojson(resorts);
+  assert.equal(type, 'FeatureCollection');
+  assert.equal(features.length, 3);
+  assert.deepEqual(features[0], {
+    type: 'Feature',
+    id: 'squaw',
+    geometry: { type: 'Point', coordinates: [-120.235278, 39.197778] },
+    properties: { id: 'squaw', name: 'Squaw Valley', open: 3, hold: 0, scheduled: 0, closed: 1, percentOpen: 75 }
+  });
+  assert.deepEqual(features[1].properties, { id: 'heavenly', name: 'Heavenly' });
+});
+
+test('nearby resorts sorted by distance', () => {
+  const result = near(resorts, [-119.95, 38.95], 100);
+  assert.deepEqual(
+    result.map(({ id }) => id),
+    ['heavenly', 'squaw']
+  );
+  assert.equal(result[0].percentOpen, undefined);
+  assert.equal(result[1].percentOpen, 75);
+  assert.equal(result[1].distance, 37);
+  assert.deepEqual(near(resorts, [0, 0], 100), []);
+});
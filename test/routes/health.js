@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import * as plugins from '../../lib/plugins.js';
+import health from '../../lib/routes/health.js';
+import { hour, minute } from '../../lib/tools/millis.js';
+
+function lifts() {}
+lifts.interval = { active: minute, inactive: 30 * minute };
+
+function weather() {}
+weather.interval = { active: 2 * hour, inactive: Number.POSITIVE_INFINITY };
+
+plugins.register('lifts', lifts);
+plugins.register('weather', weather);
+
+const now = Date.UTC(2026, 0, 10, 12);
+
+function resort(id, { timestamp, errors, fetchInProgress = {}, no }) {
+  return {
+    meta: { id, name: id.toUpperCase(), fetchInProgress, no },
+    data: { id, timestamp, errors }
+  };
+}
+
+test('health should report state of each plugin', () => {
+  const cache = {
+    fresh: resort('fresh', { timestamp: { lifts: now - minute, weather: 0 }, fetchInProgress: { weather: true } }),
+    stale: resort('stale', { timestamp: { lifts: now - 2 * hour, weather: 0 } }),
+    failing: resort('failing', {
+      timestamp: { lifts: now - 5 * minute, weather: 0 },
+      errors: { lifts: { count: 3, message: '503', timestamp: now, retry: now + 4 * minute } }
+    }),
+    nolifts: resort('nolifts', { timestamp: { lifts: 0, weather: now }, no: { lifts: true } })
+  };
+
+  const { timestamp, summary, resorts } = health(cache, now);
+
+  assert.equal(timestamp, now);
+  assert.deepEqual(
+    resorts.map(r => r.id),
+    ['failing', 'stale', 'fresh', 'nolifts']
+  );
+  assert.deepEqual(resorts[0].plugins.lifts, {
+    timestamp: now - 5 * minute,
+    fetchInProgress: undefined,
+    errors: 3,
+    stale: false,
+    error: '503',
+    retry: now + 4 * minute
+  });
+  assert.equal(resorts[1].plugins.lifts.stale, true);
+  assert.equal(resorts[2].plugins.weather.fetchInProgress, true);
+  assert.equal(resorts[2].plugins.weather.stale, false);
+  assert.deepEqual(Object.keys(resorts[3].plugins), ['weather']);
+
+  assert.deepEqual(summary, {
+    resorts: 4,
+    stale: 1,
+    failing: 1,
+    suspect: 0,
+    status: 'degraded',
+    plugins: {
+      lifts: { resorts: 3, stale: 1, failing: 1, suspect: 0, fetchInProgress: 0 },
+      weather: { resorts: 4, stale: 0, failing: 0, suspect: 0, fetchInProgress: 1 }
+    }
+  });
+});
+
+test('health should report ok when nothing is stale or failing', () => {
+  const cache = {
+    fresh: resort('fresh', { timestamp: { lifts: now, weather: now } })
+  };
+  assert.equal(health(cache, now).summary.status, 'ok');
+});
+
+test('health should report suspect lift status', () => {
+  const cache = {
+    fresh: resort('fresh', { timestamp: { lifts: now, weather: now } }),
+    suspect: resort('suspect', { timestamp: { lifts: now, weather: now } })
+  };
+  cache.suspect.data.lifts = { status: {}, suspect: { reason: 'no lifts found', since: now, lifts: 0 } };
+  const { summary, resorts } = health(cache, now);
+  assert.equal(summary.status, 'degraded');
+  assert.equal(summary.suspect, 1);
+  assert.equal(resorts[0].id, 'suspect');
+  assert.equal(resorts[0].plugins.lifts.suspect, 'no lifts found');
+});
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { rm } from 'node:fs/promises';
+import path from 'node:path';
+import test from 'node:test';
+import { LIFTIE_HISTORY_DAYS, LOG_DIR } from '../../lib/env.js';
+import history, { append, compact, intervals } from '../../lib/routes/history.js';
+import { day, hour, minute } from '../../lib/tools/millis.js';
+
+const start = Date.UTC(2026, 0, 10, 8);
+
+test('history should merge consecutive fetches with the same status', () => {
+  let lifts = append(undefined, { Gondola: 'closed', Chair: 'open' }, start);
+  lifts = append(lifts, { Gondola: 'closed', Chair: 'open' }, start + minute);
+  lifts = append(lifts, { Gondola: 'open', Chair: 'open' }, start + 2 * minute);
+
+  assert.deepEqual(lifts, {
+    Gondola: [
+      { status: 'closed', from: start, to: start + minute },
+      { status: 'open', from: start + 2 * minute, to: start + 2 * minute }
+    ],
+    Chair: [{ status: 'open', from: start, to: start + 2 * minute }]
+  });
+});
+
+test('history should start new interval after a long gap', () => {
+  let lifts = append(undefined, { Gondola: 'open' }, start);
+  lifts = append(lifts, { Gondola: 'open' }, start + 2 * hour);
+
+  assert.deepEqual(lifts.Gondola, [
+    { status: 'open', from: start, to: start },
+    { status: 'open', from: start + 2 * hour, to: start + 2 * hour }
+  ]);
+});
+
+test('history should merge fetches not further apart than the poll interval', () => {
+  let lifts = append(undefined, { Gondola: 'closed' }, start);
+  lifts = append(lifts, { Gondola: 'closed' }, start + day, day + hour);
+
+  assert.deepEqual(lifts.Gondola, [{ status: 'closed', from: start, to: start + day }]);
+});
+
+test('history should drop intervals older than retention', () => {
+  let lifts = append(undefined, { Gondola: 'open', Old: 'closed' }, start);
+  lifts = append(lifts, { Gondola: 'closed' }, start + 2 * day, hour, day);
+
+  assert.deepEqual(lifts, {
+    Gondola: [{ status: 'closed', from: start + 2 * day, to: start + 2 * day }]
+  });
+});
+
+test('compact should keep intervals that ended after cutoff', () => {
+  const lifts = {
+    Gondola: [
+      { status: 'closed', from: 0, to: 10 },
+      { status: 'open', from: 20, to: 30 }
+    ]
+  };
+  assert.deepEqual(compact(lifts, 15), {
+    Gondola: [{ status: 'open', from: 20, to: 30 }]
+  });
+});
+
+test('intervals should clip intervals to requested range', () => {
+  const lifts = {
+    Gondola: [
+      { status: 'closed', from: 0, to: 10 },
+      { status: 'hold', from: 11, to: 20 },
+      { status: 'open', from: 21, to: 30 }
+    ],
+    Chair: [{ status: 'open', from: 0, to: 5 }]
+  };
+  assert.deepEqual(intervals(lifts, 8, 25), {
+    Gondola: [
+      { status: 'closed', from: 8, to: 10 },
+      { status: 'hold', from: 11, to: 20 },
+      { status: 'open', from: 21, to: 25 }
+    ]
+  });
+  assert.deepEqual(intervals(undefined, 0, 10), {});
+});
+
+test('prune should drop old intervals of all resorts', async t => {
+  const name = `liftie.history.test-${process.pid}`;
+  const hist = history(name);
+  t.after(async () => {
+    await hist.flush();
+    await rm(path.resolve(LOG_DIR, `${name}.json`), { force: true });
+  });
+  await new Promise(resolve => hist.onload(resolve));
+
+  hist.record('alpine', { Gondola: 'open' }, start);
+  hist.record('squaw', { Chair: 'open' }, start + day);
+  hist.prune(start + LIFTIE_HISTORY_DAYS * day + hour);
+  assert.deepEqual(hist.get('alpine', 0, Number.MAX_SAFE_INTEGER), {});
+  assert.deepEqual(hist.get('squaw', 0, Number.MAX_SAFE_INTEGER), {
+    Chair: [{ status: 'open', from: start + day, to: start + day }]
+  });
+});
@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import pollInterval from '../../lib/routes/interval.js';
+import { day, hour, minute } from '../../lib/tools/millis.js';
+
+const interval = { active: minute, inactive: 30 * minute, daytime: 10 * minute, overnight: hour };
+
+test('poll as usual without season and hours', () => {
+  assert.equal(pollInterval(interval), interval);
+  assert.equal(pollInterval(interval, { season: { state: 'open' } }), interval);
+});
+
+test('poll rarely when closed for the season', () => {
+  assert.deepEqual(pollInterval(interval, { season: { state: 'closed' } }), {
+    ...interval,
+    active: day,
+    inactive: day
+  });
+  assert.deepEqual(pollInterval({ ...interval, offSeason: 2 * hour }, { season: { state: 'closed' } }), {
+    ...interval,
+    offSeason: 2 * hour,
+    active: 2 * hour,
+    inactive: 2 * hour
+  });
+});
+
+test('poll more often during operating hours', () => {
+  const expected = { ...interval, inactive: 10 * minute };
+  assert.deepEqual(pollInterval(interval, { hours: { state: 'open' } }), expected);
+  assert.deepEqual(pollInterval(interval, { hours: { state: 'opening' } }), expected);
+});
+
+test('poll less often overnight', () => {
+  assert.deepEqual(pollInterval(interval, { hours: { state: 'closed' } }), {
+    ...interval,
+    inactive: hour
+  });
+  const { overnight, daytime, ...plain } = interval;
+  assert.equal(pollInterval(plain, { hours: { state: 'closed' } }), plain);
+  assert.equal(pollInterval(plain, { hours: { state: 'open' } }), plain);
+});
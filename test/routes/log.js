@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import log, { replay } from '../../lib/routes/log.js';
+
+test('replay should apply lines in order and skip broken lines', () => {
+  const str = ['["a",1]', '["b",{"x":2}]', '["a",3]', '["c",'].join('\n');
+  assert.deepEqual(replay(str), {
+    data: { a: 3, b: { x: 2 } },
+    lines: 3
+  });
+});
+
+test('log should persist changes and compact them on load', async t => {
+  const file = path.join(tmpdir(), `liftie.log.${process.pid}.jsonl`);
+  t.after(() => rmSync(file, { force: true }));
+
+  writeFileSync(file, '["a",1]\n["a",2]\n');
+
+  const first = log(file);
+  first.set('ignored', true); // not loaded yet
+  await first.load();
+  assert.equal(first.get('a'), 2);
+  assert.equal(first.get('ignored'), undefined);
+  // compacted on load
+  assert.equal(readFileSync(file, 'utf8'), '["a",2]\n');
+
+  first.set('b', { x: 1 });
+  first.set('b', { x: 2 });
+  await first.flush();
+  assert.equal(readFileSync(file, 'utf8'), '["a",2]\n["b",{"x":1}]\n["b",{"x":2}]\n');
+
+  await first.compact();
+  assert.equal(readFileSync(file, 'utf8'), '["a",2]\n["b",{"x":2}]\n');
+
+  first.set('c', 'after compaction');
+  await first.flush();
+
+  const second = log(file);
+  await second.load();
+  assert.equal(second.get('a'), 2);
+  assert.deepEqual(second.get('b'), { x: 2 });
+  assert.equal(second.get('c'), 'after compaction');
+});
+
+test('log should count lines appended during compaction', async t => {
+  const file = path.join(tmpdir(), `liftie.log.pending.${process.pid}.jsonl`);
+  t.after(() => rmSync(file, { force: true }));
+
+  const db = log(file);
+  await db.load();
+  db.set('a', 1);
+  db.set('a', 2);
+  const compacting = db.compact();
+  db.set('a', 3); // appended while compacting
+  await compacting;
+  await db.flush();
+  assert.equal(readFileSync(file, 'utf8'), '["a",2]\n["a",3]\n');
+
+  await db.compact();
+  assert.equal(readFileSync(file, 'utf8'), '["a",3]\n');
+});
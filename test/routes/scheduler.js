@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { setTimeout as sleep } from 'node:timers/promises';
+import scheduler from '../../lib/routes/scheduler.js';
+
+function task(log, name, ms = 20) {
+  return done => {
+    log.push(`start ${name}`);
+    setTimeout(() => {
+      log.push(`end ${name}`);
+      done();
+    }, ms);
+  };
+}
+
+test('scheduler should limit the number of concurrent tasks', async () => {
+  const log = [];
+  const queue = scheduler({ concurrency: 2, jitter: 0 });
+  queue.push('a.com', task(log, 'a'));
+  queue.push('b.com', task(log, 'b'));
+  queue.push('c.com', task(log, 'c'));
+  assert.deepEqual(queue.stats(), { queued: 1, running: 2 });
+  await sleep(60);
+  assert.deepEqual(log.slice(0, 3), ['start a', 'start b', 'end a']);
+  assert.ok(log.includes('end c'));
+  assert.deepEqual(queue.stats(), { queued: 0, running: 0 });
+});
+
+test('scheduler should limit and space tasks for the same host', async () => {
+  const log = [];
+  const queue = scheduler({ hostConcurrency: 1, spacing: 50, jitter: 0 });
+  queue.push('a.com', task(log, 'a1', 10));
+  queue.push('a.com', task(log, 'a2', 10));
+  queue.push('b.com', task(log, 'b', 10));
+  queue.push(undefined, task(log, 'none', 10));
+  assert.deepEqual(log, ['start a1', 'start b', 'start none']);
+  await sleep(30);
+  // a1 is done but a2 has to wait until spacing is over
+  assert.ok(!log.includes('start a2'));
+  await sleep(60);
+  assert.ok(log.includes('end a2'));
+});
+
+test('scheduler should release tasks that time out', async () => {
+  const log = [];
+  const queue = scheduler({ concurrency: 1, jitter: 0, timeout: 20 });
+  queue.push('a.com', () => log.push('stuck'));
+  queue.push('b.com', task(log, 'b', 10));
+  await sleep(50);
+  assert.deepEqual(log, ['stuck', 'start b', 'end b']);
+});
+
+test('scheduler should cancel queued tasks on clear', () => {
+  const cancelled = [];
+  const queue = scheduler({ concurrency: 1, jitter: 0 });
+  queue.push('a.com', () => {});
+  queue.push(
+    'b.com',
+    () => {},
+    () => cancelled.push('b')
+  );
+  queue.push(
+    'c.com',
+    () => {},
+    () => cancelled.push('c')
+  );
+  queue.clear();
+  assert.deepEqual(cancelled, ['b', 'c']);
+  assert.deepEqual(queue.stats(), { queued: 0, running: 1 });
+});
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import search, { fold, index } from '../../lib/routes/search.js';
+
+const resorts = index([
+  { id: 'val-disere', name: "Val d'Isère", tags: ['France', 'Alps'], lifts: ['Olympique', 'Solaise Express'] },
+  { id: 'cortina', name: "Cortina d'Ampezzo", tags: ['Italy', 'Dolomites'], lifts: ['Freccia nel Cielo', 'Olympia'] },
+  { id: 'palisades', name: 'Olympic Valley', tags: ['California'], lifts: ['KT-22'] },
+  { id: 'valloire', name: 'Valloire', tags: ['France'], lifts: ['Sétaz'] },
+  { id: 'vail', name: 'Vail', tags: ['Colorado'], lifts: ['Gondola One'] }
+]);
+
+function ids(results) {
+  return results.map(({ id }) => id);
+}
+
+test('fold accents', () => {
+  assert.equal(fold("Val d'Isère"), "val d'isere");
+  assert.equal(fold('Sétaz'), 'setaz');
+});
+
+test('empty query', () => {
+  assert.deepEqual(search(resorts, ''), []);
+  assert.deepEqual(search(resorts), []);
+});
+
+test('match names without accents', () => {
+  assert.deepEqual(search(resorts, 'isere'), [{ id: 'val-disere', name: "Val d'Isère" }]);
+  assert.deepEqual(search(resorts, 'ISÈRE'), [{ id: 'val-disere', name: "Val d'Isère" }]);
+});
+
+test('rank better matches first', () => {
+  assert.deepEqual(ids(search(resorts, 'olymp')), ['palisades', 'cortina', 'val-disere']);
+  assert.deepEqual(ids(search(resorts, 'val')), ['val-disere', 'valloire', 'palisades']);
+});
+
+test('match tags and lifts', () => {
+  assert.deepEqual(ids(search(resorts, 'france')), ['val-disere', 'valloire']);
+  assert.deepEqual(search(resorts, 'setaz'), [{ id: 'valloire', name: 'Valloire', lift: 'Sétaz' }]);
+  assert.deepEqual(ids(search(resorts, 'france express')), ['val-disere']);
+});
+
+test('starred resorts first', () => {
+  assert.deepEqual(ids(search(resorts, 'val', ['valloire'])), ['valloire', 'val-disere', 'palisades']);
+});
+
+test('limit results', () => {
+  assert.equal(search(resorts, 'a', [], 2).length, 2);
+});
@@ -0,0 +1,112 @@
+import crypto from 'node:crypto';
+import { readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import test from 'node:test';
+import { Agent, install, MockAgent, setGlobalDispatcher } from 'undici';
+import webhooks, { matches, sign } from '../../lib/routes/webhooks.js';
+
+const changed = {
+  Gondola: { from: 'hold', to: 'open' },
+  'Magic Carpet': { from: 'closed', to: 'open' },
+  Chair: { from: 'open', to: 'hold' },
+  'New Lift': { to: 'open' }
+};
+
+test('matches should select all transitions by default', t => {
+  t.assert.deepEqual(matches({}, changed), [
+    { lift: 'Gondola', from: 'hold', to: 'open' },
+    { lift: 'Magic Carpet', from: 'closed', to: 'open' },
+    { lift: 'Chair', from: 'open', to: 'hold' }
+  ]);
+});
+
+test('matches should filter by lifts and states', t => {
+  t.assert.deepEqual(matches({ lifts: ['Gondola', 'Chair'] }, changed), [
+    { lift: 'Gondola', from: 'hold', to: 'open' },
+    { lift: 'Chair', from: 'open', to: 'hold' }
+  ]);
+  t.assert.deepEqual(matches({ lifts: ['Gondola', 'Chair'], states: ['open'] }, changed), [
+    { lift: 'Gondola', from: 'hold', to: 'open' }
+  ]);
+  t.assert.deepEqual(matches({ states: ['closed'] }, changed), []);
+});
+
+test('sign should calculate HMAC of the body', t => {
+  const expected = crypto.createHmac('sha256', 'secret').update('body').digest('hex');
+  t.assert.equal(sign('secret', 'body'), `sha256=${expected}`);
+});
+
+test('webhooks should deliver signed lift changes', async t => {
+  const file = path.join(tmpdir(), `liftie.webhooks.${process.pid}.json`);
+  const mockAgent = new MockAgent();
+  const hooks = webhooks(file);
+  let received;
+
+  t.before(() => {
+    install();
+    setGlobalDispatcher(mockAgent);
+    mockAgent.disableNetConnect();
+    mockAgent
+      .get('https://hooks.example.com')
+      .intercept({ path: '/liftie', method: 'POST' })
+      .reply(200, opts => {
+        received = opts;
+        return '';
+      });
+  });
+
+  t.after(async () => {
+    rmSync(file, { force: true });
+    await mockAgent.close();
+    setGlobalDispatcher(new Agent());
+  });
+
+  await t.test('add subscription', async t => {
+    const subscription = await hooks.add({
+      url: 'https://hooks.example.com/liftie',
+      resort: 'alpine',
+      states: ['open']
+    });
+    t.assert.ok(subscription.id);
+    t.assert.ok(subscription.secret);
+    t.assert.equal(subscription.failures, 0);
+    t.assert.equal(hooks.get(subscription.id), subscription);
+
+    const saved = JSON.parse(readFileSync(file, 'utf8'));
+    t.assert.equal(saved[subscription.id].secret, subscription.secret);
+  });
+
+  await t.test('deliver changes', async t => {
+    const [subscription] = hooks.list();
+    subscription.failures = 2;
+    hooks.deliver({ id: 'killington', name: 'Killington' }, 1, changed);
+    hooks.deliver({ id: 'alpine', name: 'Alpine', href: 'alpine.com' }, 2, changed);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    t.assert.ok(received);
+    const body = JSON.parse(received.body);
+    t.assert.deepEqual(body, {
+      subscription: subscription.id,
+      resort: { id: 'alpine', name: 'Alpine', href: 'alpine.com' },
+      timestamp: 2,
+      changes: [
+        { lift: 'Gondola', from: 'hold', to: 'open' },
+        { lift: 'Magic Carpet', from: 'closed', to: 'open' }
+      ]
+    });
+    t.assert.equal(received.headers['X-Liftie-Signature'], sign(subscription.secret, received.body));
+
+    // successful delivery resets failures
+    await hooks.flush();
+    const saved = JSON.parse(readFileSync(file, 'utf8'));
+    t.assert.equal(saved[subscription.id].failures, 0);
+  });
+
+  await t.test('remove subscription', async t => {
+    const [subscription] = hooks.list();
+    t.assert.ok(await hooks.remove(subscription.id));
+    t.assert.ok(!(await hooks.remove(subscription.id)));
+    t.assert.deepEqual(hooks.list(), []);
+  });
+});
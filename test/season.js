@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import fetch, { season, seasons } from '../lib/season.js';
+
+function at(month, date, year = 2026) {
+  return Date.UTC(year, month - 1, date, 12);
+}
+
+const north = { season: { opening: '11-22', closing: '04-12' }, ll: [-120, 39] };
+
+test('season should be empty if dates are not configured', () => {
+  assert.equal(season({}), undefined);
+  assert.equal(season({ opening: 'abc' }), undefined);
+  assert.equal(season({ season: { opening: '0000-00-00', closing: '0000-00-00' } }), undefined);
+  assert.equal(season({ opening: '2026-00-15' }), undefined);
+});
+
+test('season with opening date only', () => {
+  const resort = { opening: '2026-11-22' };
+  assert.deepEqual(season(resort, at(10, 1)), { state: 'pre-season', opening: '2026-11-22', closing: undefined });
+  assert.deepEqual(season(resort, at(11, 22)), { state: 'open', closing: undefined });
+});
+
+test('season spanning the new year', () => {
+  assert.deepEqual(season(north, at(1, 15)), { state: 'open', closing: '2026-04-12' });
+  assert.deepEqual(season(north, at(12, 15)), { state: 'open', closing: '2027-04-12' });
+  assert.deepEqual(season(north, at(4, 12)), { state: 'open', closing: '2026-04-12' });
+  assert.deepEqual(season(north, at(4, 13)), { state: 'closed', opening: '2026-11-22', closing: '2026-04-12' });
+  assert.deepEqual(season(north, at(11, 1)), { state: 'pre-season', opening: '2026-11-22', closing: '2026-04-12' });
+});
+
+test('southern hemisphere season', () => {
+  const south = { season: {}, ll: [148.41, -36.4] };
+  assert.equal(season(south, at(7, 15)).state, 'open');
+  assert.deepEqual(season(south, at(1, 15)), { state: 'closed', opening: '2026-06-01', closing: '2025-10-01' });
+
+  const perisher = { season: { opening: '06-07', closing: '10-05' }, ll: [148.41, -36.4] };
+  assert.deepEqual(season(perisher, at(10, 6)), { state: 'closed', opening: '2027-06-07', closing: '2026-10-05' });
+});
+
+test('season dates in the resort time zone', () => {
+  // still April 12 in California
+  assert.equal(season(north, Date.UTC(2026, 3, 13, 3)).state, 'open');
+  assert.equal(season(north, Date.UTC(2026, 3, 13, 8)).state, 'closed');
+
+  // already June 7 in New South Wales
+  const perisher = { season: { opening: '06-07', closing: '10-05' }, ll: [148.41, -36.4] };
+  assert.equal(season(perisher, Date.UTC(2026, 5, 6, 13)).state, 'pre-season');
+  assert.equal(season(perisher, Date.UTC(2026, 5, 6, 15)).state, 'open');
+  assert.deepEqual(seasons(perisher, Date.UTC(2026, 9, 5, 15)), [
+    { name: 2027, opening: '2027-06-07', closing: '2027-10-05' }
+  ]);
+});
+
+test('season with fixed dates', () => {
+  const resort = { season: { opening: '2026-11-22', closing: '2027-04-12' } };
+  assert.equal(season(resort, at(9, 1)).state, 'pre-season');
+  assert.equal(season(resort, at(2, 1, 2027)).state, 'open');
+  assert.deepEqual(season(resort, at(5, 1, 2027)), { state: 'closed', opening: undefined, closing: '2027-04-12' });
+});
+
+test('current and next season', () => {
+  assert.deepEqual(seasons({}), []);
+  assert.deepEqual(seasons(north, at(1, 15)), [
+    { name: 2025, opening: '2025-11-22', closing: '2026-04-12' },
+    { name: 2026, opening: '2026-11-22', closing: '2027-04-12' }
+  ]);
+  assert.deepEqual(seasons(north, at(5, 1)), [{ name: 2026, opening: '2026-11-22', closing: '2027-04-12' }]);
+  assert.deepEqual(seasons({ opening: '2017-12-09' }, at(10, 1)), []);
+  assert.deepEqual(seasons({ opening: '2026-11-22' }, at(10, 1)), [
+    { name: 2026, opening: '2026-11-22', closing: undefined }
+  ]);
+});
+
+test('season plugin', (_t, done) => {
+  fetch({ id: 'example', opening: '2000-01-01' }, (err, s) => {
+    assert.deepEqual(s, { state: 'open', closing: undefined });
+    done(err);
+  });
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import test from 'node:test';
+import { Agent, install, MockAgent, setGlobalDispatcher } from 'undici';
+import getParseFn from '../../lib/lifts/parse.js';
+import fetch from '../../lib/snow/index.js';
+
+async function parseSnow(id) {
+  const data = JSON.parse(readFileSync(resolve(import.meta.dirname, `../resorts/example/${id}.json`), 'utf8'));
+  const parse = await getParseFn(id, 'snow');
+  return parse(data);
+}
+
+test('jackson-hole snow report', async () => {
+  assert.deepEqual(await parseSnow('jackson-hole'), {
+    snowfall: '0',
+    depth: '0',
+    condition: 'Packed Powder'
+  });
+});
+
+test('bolton-valley snow report', async () => {
+  assert.deepEqual(await parseSnow('bolton-valley'), {
+    snowfall: '0',
+    depth: undefined,
+    condition: 'Variable Conditions'
+  });
+});
+
+test('pats-peak snow report', async () => {
+  assert.deepEqual(await parseSnow('pats-peak'), {
+    snowfall: 0,
+    depth: 0
+  });
+});
+
+test('pats-peak snow report with partial depth', async () => {
+  const parse = await getParseFn('pats-peak', 'snow');
+  assert.deepEqual(parse({ Report: { DepthMax: 12 } }), { snowfall: undefined, depth: 12 });
+  assert.deepEqual(parse({ Report: { DepthMin: 6, DepthMax: 12 } }), { snowfall: undefined, depth: '6-12' });
+});
+
+test('snow report without values is not reported', async t => {
+  const mockAgent = new MockAgent();
+
+  t.before(() => {
+    install();
+    setGlobalDispatcher(mockAgent);
+    mockAgent.disableNetConnect();
+    mockAgent
+      .get('https://snow.example.com')
+      .intercept({ path: '/report' })
+      .reply(200, JSON.stringify({ Report: {} }));
+  });
+
+  t.after(async () => {
+    await mockAgent.close();
+    setGlobalDispatcher(new Agent());
+  });
+
+  const resort = {
+    id: 'pats-peak',
+    name: 'Pats Peak',
+    url: { host: 'https://www.patspeak.com', pathname: '/' },
+    api: { host: 'https://snow.example.com', pathname: '/report' }
+  };
+  const snow = await new Promise((resolve, reject) => fetch(resort, (err, s) => (err ? reject(err) : resolve(s))));
+  assert.equal(snow, undefined);
+});
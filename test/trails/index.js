@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import test from 'node:test';
+import getParseFn from '../../lib/lifts/parse.js';
+import { parseHtml } from '../../lib/lifts/parser.js';
+import stats from '../../lib/trails/stats.js';
+
+test('stats should count open and groomed trails', () => {
+  const status = {
+    Promenade: { status: 'open', difficulty: 'easy', groomed: true },
+    'Crest Trail': { status: 'closed', difficulty: 'intermediate', groomed: true },
+    'I-5': { status: 'open', difficulty: 'advanced', groomed: false },
+    Glades: { status: 'closed' }
+  };
+  assert.deepEqual(stats(status), {
+    total: 4,
+    open: 2,
+    groomed: 2,
+    difficulty: {
+      easy: { open: 1, total: 1 },
+      intermediate: { open: 0, total: 1 },
+      advanced: { open: 1, total: 1 }
+    }
+  });
+});
+
+test('vail trails should be parsed from terrain status feed', async () => {
+  const html = readFileSync(resolve(import.meta.dirname, '../resorts/example/stevens.html'), 'utf8');
+  const parse = await getParseFn('stevens', 'trails');
+  const status = await new Promise((resolve, reject) =>
+    parseHtml(html, parse, (err, status) => (err ? reject(err) : resolve(status)))
+  );
+  assert.equal(Object.keys(status).length, 46);
+  assert.deepEqual(status['Crest Trail'], { status: 'closed', difficulty: 'intermediate', groomed: true });
+  assert.deepEqual(status['Cloud 9'].difficulty, 'expert');
+  assert.deepEqual(status['Midway Park'].difficulty, 'park');
+});
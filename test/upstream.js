@@ -0,0 +1,70 @@
+import test from 'node:test';
+import { Agent, install, MockAgent, setGlobalDispatcher } from 'undici';
+import upstream, { request } from '../lib/upstream.js';
+
+test('upstream', async t => {
+  const mockAgent = new MockAgent();
+  let pool;
+
+  t.before(() => {
+    install();
+    setGlobalDispatcher(mockAgent);
+    mockAgent.disableNetConnect();
+    pool = mockAgent.get('https://upstream.example.com');
+  });
+
+  t.after(async () => {
+    await mockAgent.close();
+    setGlobalDispatcher(new Agent());
+  });
+
+  await t.test('should retry server errors', async t => {
+    pool.intercept({ path: '/retry' }).reply(503, 'busy');
+    pool.intercept({ path: '/retry' }).reply(200, 'ok');
+    const res = await upstream('https://upstream.example.com/retry', { retries: 1 });
+    t.assert.equal(res.status, 200);
+    t.assert.equal(await res.text(), 'ok');
+  });
+
+  await t.test('should return last response when out of retries', async t => {
+    pool.intercept({ path: '/fail' }).reply(500, 'broken');
+    const res = await upstream('https://upstream.example.com/fail', { retries: 0 });
+    t.assert.equal(res.status, 500);
+  });
+
+  await t.test('should not retry client errors', async t => {
+    pool.intercept({ path: '/missing' }).reply(404, 'missing');
+    const res = await upstream('https://upstream.example.com/missing', { retries: 2 });
+    t.assert.equal(res.status, 404);
+  });
+
+  await t.test('should time out', async t => {
+    pool.intercept({ path: '/slow' }).reply(200, 'slow').delay(500);
+    await t.assert.rejects(upstream('https://upstream.example.com/slow', { timeout: 50, retries: 0 }), {
+      name: 'TimeoutError'
+    });
+  });
+
+  await t.test('should pass request headers', async t => {
+    pool.intercept({ path: '/headers', headers: { accept: 'application/json' } }).reply(200, '{}');
+    const res = await upstream('https://upstream.example.com/headers', {
+      headers: { Accept: 'application/json' }
+    });
+    t.assert.equal(res.status, 200);
+    mockAgent.assertNoPendingInterceptors();
+  });
+
+  await t.test('request should send a single request', async t => {
+    pool.intercept({ path: '/post', method: 'POST', body: '{}' }).reply(503, 'busy');
+    const res = await request('https://upstream.example.com/post', { method: 'POST', body: '{}' });
+    t.assert.equal(res.status, 503);
+    mockAgent.assertNoPendingInterceptors();
+  });
+
+  await t.test('request should time out', async t => {
+    pool.intercept({ path: '/slow-post', method: 'POST' }).reply(200, 'slow').delay(500);
+    await t.assert.rejects(request('https://upstream.example.com/slow-post', { method: 'POST', timeout: 50 }), {
+      name: 'TimeoutError'
+    });
+  });
+});